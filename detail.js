@@ -0,0 +1,205 @@
+/**
+ * IRONCLAD DETAIL — inspect/edit pane for the clicked task.
+ *
+ * Opens as a right-edge panel on the engine's 'open' event (plain click on a
+ * proxy). Text fields render as plain text until focused; only then does a
+ * real <input>/<textarea> materialize, and it goes away again on blur. Edits
+ * go through engine.editTask, so they repaint, re-sort staging and reach sync
+ * like any other change.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** 'TUE 13 Oct · 09:30–11:00 (1h30)', or the staging note. */
+function formatRange(task) {
+    if (task.start == null) return 'Unscheduled (staging)';
+    const s = new Date(task.start);
+    const e = new Date(task.start + task.duration * 60000);
+    return DAY_LABELS[(s.getDay() + 6) % 7] + ' ' + s.getDate() + ' ' + MONTHS[s.getMonth()] +
+        ' · ' + hhmm(s) + '–' + hhmm(e) + ' (' + formatDuration(task.duration) + ')';
+}
+
+class DetailPane {
+    /**
+     * @param {IroncladEngine} engine
+     * @param {PanelManager} panels
+     */
+    constructor(engine, panels) {
+        this.engine = engine;
+        this.panels = panels;
+        this.id = null;
+        this.editing = false; // a text field is materialized — don't rebuild under it
+
+        this.panel = panels.register('detail', {
+            edge: 'right',
+            size: 340,
+            title: 'DETAIL',
+            onClose: () => { this.id = null; },
+        });
+
+        engine.on('open', (id) => this.show(id));
+        engine.on('select', () => { if (this.id !== null && !this.editing) this._render(); });
+        engine.on('store', () => { if (this.id !== null && !this.editing) this._render(); });
+    }
+
+    show(id) {
+        this.id = id;
+        this._render();
+        this.panels.open('detail');
+    }
+
+    // ── Render ──────────────────────────────────────────────────────────
+
+    /** Rebuild the pane. Focus in it moves to the same field of the new rows. */
+    _render() {
+        const task = this.engine.getTask(this.id);
+        if (!task) {
+            // Deleted under us (server push)
+            this.panels.close('detail');
+            return;
+        }
+
+        const rows = [];
+        const selected = this.engine.selectedCount;
+        if (selected > 1) rows.push(this._note(selected + ' tasks selected'));
+
+        rows.push(
+            this._textField('Title', task.title, false, v => ({ title: v })),
+            this._textField('Description', task.description, true, v => ({ description: v })),
+            this._textField('Bullets', task.bullets.join('\n'), true,
+                v => ({ bullets: v.split('\n').map(l => l.trim()).filter(Boolean) })),
+            this._select('Status', TASK_STATUSES, task.status, v => ({ status: v })),
+            this._select('Priority', PRIORITIES, task.priority, v => ({ priority: v })),
+            this._textField('Services', task.serviceIds.join(', '), false,
+                v => ({ serviceIds: v.split(',').map(x => parseInt(x, 10)).filter(n => !isNaN(n)) })),
+            this._textField('Assignee', task.assignee === null ? '' : String(task.assignee), false,
+                v => ({ assignee: /^\s*\d/.test(v) ? parseInt(v, 10) : null })),
+            this._row('Time', this._static(formatRange(task))),
+            this._row('Logged', this._timer(task)),
+            this._row('Type', this._static(task.type)),
+        );
+        const field = this._fieldOf(document.activeElement);
+        this.panel.body.replaceChildren(...rows);
+        if (field) this._focusField(field);
+    }
+
+    /** The row label of a control in the pane, or null. */
+    _fieldOf(el) {
+        if (!el || !this.panel.body.contains(el)) return null;
+        const row = el.closest('.detail-row');
+        return row ? row.dataset.field : null;
+    }
+
+    _focusField(field) {
+        for (const row of this.panel.body.children) {
+            if (row.dataset.field !== field) continue;
+            const control = row.querySelector('.field-value, select, button');
+            if (control) control.focus();
+            return;
+        }
+    }
+
+    _row(label, control) {
+        const row = document.createElement('div');
+        row.className = 'detail-row';
+        row.dataset.field = label;
+        const l = document.createElement('label');
+        l.textContent = label;
+        row.append(l, control);
+        return row;
+    }
+
+    _static(text) {
+        const v = document.createElement('div');
+        v.className = 'field-static';
+        v.textContent = text;
+        return v;
+    }
+
+    /** Time logged so far, and the start/stop control for this task's timer. */
+    _timer(task) {
+        const wrap = document.createElement('div');
+        wrap.className = 'field-timer';
+        const logged = this.engine.loggedMinutes(task.id);
+        const timer = this.engine.getTimer();
+        const running = timer !== null && timer.taskId === task.id;
+
+        const btn = document.createElement('button');
+        btn.className = 'timer-btn' + (running ? ' running' : '');
+        btn.textContent = running ? 'Stop timer' : 'Start timer';
+        btn.addEventListener('click', () => this.engine.toggleTimer(task.id));
+        wrap.append(this._static(logged >= 1 ? formatDuration(logged) : '—'), btn);
+        return wrap;
+    }
+
+    _note(text) {
+        const n = document.createElement('div');
+        n.className = 'detail-note';
+        n.textContent = text;
+        return n;
+    }
+
+    /** Plain text until focused; then a real input that commits on blur/Enter. */
+    _textField(label, value, multiline, toFields) {
+        const id = this.id;
+        const view = document.createElement('div');
+        view.className = 'field-value';
+        view.tabIndex = 0;
+        view.textContent = value || '—';
+
+        view.addEventListener('focus', () => {
+            const input = document.createElement(multiline ? 'textarea' : 'input');
+            input.className = 'field-input';
+            input.value = value;
+            if (multiline) input.rows = 4;
+            let cancelled = false;
+
+            input.addEventListener('keydown', (e) => {
+                // Escape reverts the field; the panel stays open
+                if (e.key === 'Escape') { cancelled = true; input.blur(); e.stopPropagation(); }
+                else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) input.blur();
+            });
+            input.addEventListener('blur', (e) => {
+                this.editing = false;
+                if (cancelled || input.value === value) {
+                    input.replaceWith(view);
+                    return;
+                }
+                // The edit rebuilds the rows, taking the field Tab was headed for with them:
+                // once the browser is done moving focus (into nothing), give it the new one
+                const next = this._fieldOf(e.relatedTarget);
+                if (!this.engine.editTask(id, toFields(input.value))) {
+                    input.replaceWith(view); // held by someone else: nothing changed
+                    return;
+                }
+                if (next) {
+                    setTimeout(() => {
+                        if (this.id === id && document.activeElement === document.body) this._focusField(next);
+                    }, 0);
+                }
+            });
+
+            this.editing = true;
+            view.replaceWith(input);
+            input.focus();
+            input.select();
+        });
+        return this._row(label, view);
+    }
+
+    _select(label, options, value, toFields) {
+        const sel = document.createElement('select');
+        sel.className = 'field-select';
+        for (const o of options) {
+            const opt = document.createElement('option');
+            opt.value = o;
+            opt.textContent = o.replace('_', ' ');
+            sel.appendChild(opt);
+        }
+        sel.value = value;
+        sel.addEventListener('change', () => {
+            if (!this.engine.editTask(this.id, toFields(sel.value))) sel.value = value;
+        });
+        return this._row(label, sel);
+    }
+}
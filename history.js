@@ -0,0 +1,138 @@
+/**
+ * IRONCLAD HISTORY — undo/redo over the engine's user events.
+ *
+ * Every user change the engine emits (move, resize, update, create, delete)
+ * is recorded with enough to invert it. Undo and redo replay through the
+ * engine's emitting APIs (moveTasks, editTask, createTasks, deleteTasks), so
+ * they leave as the same ClientCommands a drag or an edit would — sync needs
+ * no special case, and the server arbitrates an undo like any other change.
+ *
+ * One engine event is one step: a group drag or a multi-delete undoes as a
+ * unit. A step touching a task another user is dragging waits on its stack
+ * until they let go.
+ */
+
+const HISTORY_CONFIG = {
+    LIMIT: 200, // steps kept; the oldest fall off
+};
+
+class IroncladHistory {
+    /**
+     * @param {IroncladEngine} engine
+     * @param {{ limit?: number }} [opts]
+     */
+    constructor(engine, opts = {}) {
+        this.engine = engine;
+        this.limit = opts.limit || HISTORY_CONFIG.LIMIT;
+        this.undoStack = []; // steps, oldest first; a step is an array of ops
+        this.redoStack = [];
+        this.replaying = false; // our own replays emit too — don't record them
+
+        for (const type of ['move', 'resize', 'update', 'create', 'delete']) {
+            engine.on(type, (data) => this._record({ type, data }));
+        }
+    }
+
+    // ── Public ──────────────────────────────────────────────────────────
+
+    get canUndo() { return this.undoStack.length > 0; }
+    get canRedo() { return this.redoStack.length > 0; }
+
+    undo() {
+        const step = this.undoStack[this.undoStack.length - 1];
+        if (!step || this._held(step)) return false;
+        this.undoStack.pop();
+        this._replay(() => {
+            for (let k = step.length - 1; k >= 0; k--) this._invert(step[k]);
+        });
+        this.redoStack.push(step);
+        return true;
+    }
+
+    redo() {
+        const step = this.redoStack[this.redoStack.length - 1];
+        if (!step || this._held(step)) return false;
+        this.redoStack.pop();
+        this._replay(() => {
+            for (let k = 0; k < step.length; k++) this._reapply(step[k]);
+        });
+        this.undoStack.push(step);
+        return true;
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+    }
+
+    // ── Recording ───────────────────────────────────────────────────────
+
+    _record(op) {
+        if (this.replaying) return;
+        this._push([op]);
+    }
+
+    _push(step) {
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack.length = 0; // a new change forks history
+    }
+
+    /** Another user is dragging one of the step's tasks (the engine says so). */
+    _held(step) {
+        const ids = [];
+        for (const op of step) for (const d of op.data) ids.push(d.id);
+        return this.engine.refuseHeld(ids);
+    }
+
+    _replay(fn) {
+        this.replaying = true;
+        try {
+            fn();
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    // ── Replay ──────────────────────────────────────────────────────────
+
+    _invert(op) {
+        const engine = this.engine;
+        const d = op.data;
+        switch (op.type) {
+            case 'move':
+            case 'resize':
+                engine.moveTasks(d.map(c => ({ id: c.id, start: c.prevStart, duration: c.prevDuration, assignee: c.prevAssignee })), op.type);
+                break;
+            case 'update':
+                for (let k = d.length - 1; k >= 0; k--) engine.editTask(d[k].id, d[k].prev);
+                break;
+            case 'create':
+                engine.deleteTasks(d.map(t => t.id));
+                break;
+            case 'delete':
+                engine.createTasks(d);
+                break;
+        }
+    }
+
+    _reapply(op) {
+        const engine = this.engine;
+        const d = op.data;
+        switch (op.type) {
+            case 'move':
+            case 'resize':
+                engine.moveTasks(d.map(c => ({ id: c.id, start: c.start, duration: c.duration, assignee: c.assignee })), op.type);
+                break;
+            case 'update':
+                for (let k = 0; k < d.length; k++) engine.editTask(d[k].id, d[k].fields);
+                break;
+            case 'create':
+                engine.createTasks(d);
+                break;
+            case 'delete':
+                engine.deleteTasks(d.map(t => t.id));
+                break;
+        }
+    }
+}
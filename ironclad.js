@@ -12,6 +12,18 @@
  *  - Per-frame drag latency (not cumulative)
  *  - textContent stats (no innerHTML churn)
  *  - Grid snap derived from HOUR_HEIGHT, not magic numbers
+ *
+ * Entities are task records keyed by stable task id. Geometry (xs/ys/ws/hs)
+ * is derived from start + duration against the current week and view, and
+ * drops map pixels back to datetimes — the SoA index of a task is not stable,
+ * its id is. The view decides the day columns (colX/colW): seven in week
+ * view; in day view one wide column, the rest collapsed to zero width.
+ *
+ * Two coordinate spaces. Calendar entities live in WORLD px: the full 24h
+ * grid at zoom 1, unscrolled. The Camera maps world → SCREEN (container px)
+ * for render, flashlight and input. Staging cards are UI, not timeline: they
+ * live in screen px and ignore the camera (F_STAGED doubles as "screen space").
+ * So do the service list's rows (F_SERVICE | F_STAGED).
  */
 
 // ─── Config ─────────────────────────────────────────────────────────────────
@@ -22,23 +34,81 @@ const CONFIG = {
     TOP_HEADER: 32,
     DAY_WIDTH: 180,
     HOUR_HEIGHT: 60,
+    COL_PAD: 10, // entity inset from day column edges
+    TEAM_COL_W: 120, // team view: each user's share of a day column
+
+    // Staging (unscheduled tasks), right of the grid
+    STAGING_GAP: 24,
+    CARD_W: 168,
+    CARD_H: 44,
+    CARD_GAP: 6,
+    STAGING_RESORT_MS: 60000, // "due soon" changes with the clock, not just with data
+
+    // Service list, opened between the calendar and staging
+    SERVICE_W: 220,
+    SERVICE_ROW_H: 28,
+    SEARCH_H: 34, // search box above the rows
 
     // Time
     DAYS: 7,
-    START_HOUR: 8,
-    END_HOUR: 18,
+    START_HOUR: 0,
+    END_HOUR: 24,
+    SCROLL_TO_HOUR: 8, // initial scroll — the working day, not 00:00
+    VIEW_ANIM_MS: 240,  // week ↔ day transition, same as a panel slide
+    CLOCK_MS: 5000,     // running timers and the now line: 1px a minute at zoom 1, no need for more
+
+    // Time logging
+    LOG_W: 6, // logged-time bar, in the day column's right padding beside the plan
+    WORKDAY_HOURS: 8, // bookable hours per user per day, unless setUsers says otherwise
+
+    // Camera
+    ZOOM_MIN: 0.5,  // time-axis scale; 0.5 fits ~24h on a 900px screen
+    ZOOM_MAX: 3,
+    WHEEL_ZOOM: 0.0015, // zoom factor per wheel delta unit (ctrl+wheel / pinch)
+    AUTOSCROLL_EDGE: 24, // px from the viewport edge where a drag scrolls
+    AUTOSCROLL_SPEED: 12, // px per frame
 
     // Engine
     FLASHLIGHT_RADIUS: 150,
     POOL_SIZE: 15,
-    BUCKET_WIDTH: 200,
+    BUCKET_WIDTH: 200, // index cell width — about a day column
+    CELL_HEIGHT: 240,  // index cell height — 4h at zoom 1
     MAX_ENTITIES: 10000,
-    MAX_BUCKETS: 100,
+    MAX_BUCKETS: 400,  // index columns — 80,000px: a team-view week of ~90 users
+    GRID_ROWS: 16,     // index rows; the last one also holds everything below it
+    DIRTY_MAX_RECTS: 32, // drags moving more tasks than this repaint the whole canvas
+
+    // Interaction
+    EDGE_GRIP: 6,     // px of proxy top/bottom that resize instead of move
+    CLICK_SLOP: 4,    // px of travel before a press on a proxy becomes a drag
+    MIN_DURATION: 15, // minutes
 };
 
 const DAY_LABELS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
 const HOURS = CONFIG.END_HOUR - CONFIG.START_HOUR;
 const SNAP_Y = CONFIG.HOUR_HEIGHT / 4; // 15-minute grid
+const DAY_MS = 86400000;
+
+// Task vocabulary — mirrors the txxt backend's Task model
+const TASK_TYPES = ['task', 'event', 'milestone'];
+const TASK_STATUSES = ['todo', 'in_progress', 'done'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_BULLETS = 4;
+
+// Drag modes
+const DRAG_MOVE = 1;
+const DRAG_TOP = 2;    // resize from the top edge — end time fixed
+const DRAG_BOTTOM = 3; // resize from the bottom edge — start time fixed
+
+// Entity flags (bitfield per entity)
+const F_HIDDEN = 1; // outside the visible week/hours — not indexed, not drawn
+const F_STAGED = 2; // unscheduled — laid out as a staging card, not by time
+const F_SELECTED = 4;
+const F_LOG = 8;    // time entry — drawn and indexed, never a flashlight/selection/keyboard target
+const F_SERVICE = 16; // service list row — always with F_STAGED (screen space); hydrated, never dragged
+
+// Staging card priority stripe, indexed like PRIORITIES
+const PRIORITY_COLORS = ['#555', '#3a7bd5', '#d5a03a', '#e04848'];
 
 // Task label fragments — verbose on purpose, text is dead weight we measure
 const LABEL_VERBS = ['Review', 'Update', 'Fix', 'Deploy', 'Test', 'Write', 'Plan', 'Design', 'Debug', 'Refactor'];
@@ -66,12 +136,301 @@ const LABEL_BULLETS = [
     'Validate against the accessibility requirements',
 ];
 
+// Synthetic team, for generated tasks when no user list has been set
+const DEMO_USERS = [
+    { id: 1, name: 'Ana' }, { id: 2, name: 'Bram' }, { id: 3, name: 'Chen' },
+    { id: 4, name: 'Dana', hours: 6 }, { id: 5, name: 'Emeka' },
+];
+
+// Synthetic service registry, likewise
+const DEMO_SERVICES = [
+    'Payroll', 'HR portal', 'Intranet', 'Email', 'VPN', 'Service desk', 'Data warehouse', 'Single sign-on',
+    'Backups', 'CRM', 'Finance ERP', 'Public website', 'Print services', 'Telephony', 'File shares', 'Patching',
+];
+
+// Seeded synthetic due dates count from here, not the clock, so the staging
+// order repeats on any day (they're all past: urgency is priority + 3)
+const SEED_EPOCH = Date.UTC(2024, 0, 1);
+
+// Entity text
+const LINE_H = 14;
+const TEXT_PAD = 6;
+const TITLE_FONT = '600 11px -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif';
+const BULLET_FONT = '10px -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif';
+
 // Entity type colors: [fill, stroke]
 const TYPE_COLORS = [
     ['#1e3a5f', '#3a7bd5'], // Task — blue
     ['#1a4a3a', '#2d9b7a'], // Event — teal
     ['#4a3a1a', '#b4882d'], // Milestone — amber
+    ['#3a1e4a', '#9b5ad5'], // Logged time — purple
+    ['#1c2b33', '#4f8fa8'], // Service — slate
 ];
+const T_ENTRY = 3; // type of time entries: a TYPE_COLORS row, not one of TASK_TYPES
+const ID_BLOCK = 65536; // task and entry ids per client (setIdBlock); ids stay int32 up to block 32767
+const T_SERVICE = 4; // service list rows, likewise
+const NOW_COLOR = '#e04848';
+
+// Per-user colour: assignee stripes, and other users' cursors and drag ghosts
+const USER_COLORS = ['#e0a030', '#30c0e0', '#e060a0', '#80d040', '#a080ff', '#ff8060', '#40e0a0', '#d0d040'];
+
+function userColor(id) {
+    const n = USER_COLORS.length;
+    return USER_COLORS[((id % n) + n) % n];
+}
+
+// ─── Time helpers ───────────────────────────────────────────────────────────
+// Local time throughout: a task at 09:00 sits on the 09:00 line wherever the
+// user is. Day math goes through Date setters so DST days don't shift by an hour.
+
+function startOfWeek(t) {
+    const d = new Date(t);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+    return d.getTime();
+}
+
+function dayStart(weekStart, col) {
+    const d = new Date(weekStart);
+    d.setDate(d.getDate() + col);
+    return d.getTime();
+}
+
+function toMs(v) {
+    if (v == null || v === '') return NaN;
+    if (typeof v === 'number') return v;
+    return new Date(v).getTime();
+}
+
+/** Minutes as '1h30', '2h' or '45min'. */
+function formatDuration(min) {
+    const t = Math.round(min);
+    const h = Math.floor(t / 60);
+    const m = t % 60;
+    return h ? h + 'h' + (m ? String(m).padStart(2, '0') : '') : m + 'min';
+}
+
+/** Minutes since START_HOUR on the day of t, fractional. */
+function minuteOfDay(t) {
+    const d = new Date(t);
+    return d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60 - CONFIG.START_HOUR * 60;
+}
+
+/** Round t to the nearest 15 minutes of its local day — the grid snap, in time. */
+function snapTime(t) {
+    const d = new Date(t);
+    const min = d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60;
+    d.setHours(0, Math.round(min / 15) * 15, 0, 0);
+    return d.getTime();
+}
+
+function ymd(d) {
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+function hhmm(d) {
+    return String(d.getHours()).padStart(2, '0') + ':' + String(d.getMinutes()).padStart(2, '0');
+}
+
+/** Equal times, treating NaN (unscheduled) as equal to itself. */
+function sameTime(a, b) {
+    return a === b || (isNaN(a) && isNaN(b));
+}
+
+function lookup(list, v, fallback) {
+    if (typeof v === 'number') return v >= 0 && v < list.length ? v : fallback;
+    const i = list.indexOf(v);
+    return i >= 0 ? i : fallback;
+}
+
+/** Normalize an incoming task into the cold record kept alongside the SoA. */
+function normalizeTask(t) {
+    if (!t || typeof t.id !== 'number') throw new Error('Task needs a numeric id');
+    const description = t.description || '';
+    const bullets = Array.isArray(t.bullets)
+        ? t.bullets.slice(0, MAX_BULLETS)
+        : description.split('\n')
+            .map(l => l.replace(/^\s*[-*]\s*/, '').trim())
+            .filter(Boolean)
+            .slice(0, MAX_BULLETS);
+    return {
+        title: t.title || 'Untitled',
+        description,
+        bullets,
+        status: TASK_STATUSES[lookup(TASK_STATUSES, t.status, 0)],
+        priority: lookup(PRIORITIES, t.priority, 1),
+        serviceIds: Array.isArray(t.serviceIds) ? t.serviceIds.slice() : [],
+        assignee: typeof t.assignee === 'number' && !isNaN(t.assignee) ? t.assignee : null, // user id
+    };
+}
+
+/** Normalize an incoming time entry into its cold record. */
+function normalizeEntry(e) {
+    if (!e || typeof e.id !== 'number' || typeof e.taskId !== 'number') {
+        throw new Error('Time entry needs numeric id and taskId');
+    }
+    const start = toMs(e.start);
+    if (isNaN(start)) throw new Error('Time entry needs a start');
+    return { taskId: e.taskId, end: toMs(e.end) }; // end NaN = running
+}
+
+/**
+ * Normalize an incoming service into its cold record. A service is who pays
+ * for the time; the rest pre-fills tasks created from it.
+ */
+function normalizeService(s) {
+    if (!s || typeof s.id !== 'number') throw new Error('Service needs a numeric id');
+    return {
+        name: s.name || 'Service ' + s.id,
+        code: s.code || '',
+        description: s.description || '',
+        priority: lookup(PRIORITIES, s.priority, 1),
+        type: lookup(TASK_TYPES, s.type, 0),
+        duration: +s.duration > 0 ? +s.duration : 60, // minutes
+    };
+}
+
+// ─── Timesheet formats ──────────────────────────────────────────────────────
+// CSV for the managers' spreadsheets, iCalendar (RFC 5545) for Outlook.
+
+const CSV_COLUMNS = ['date', 'start', 'end', 'duration', 'title', 'service', 'user'];
+const ICS_UID = /^task-(\d+)@ironclad$/; // our own export, coming back in
+
+/** RFC 4180 field. A leading = + - @ would run as a formula in Excel. */
+function csvField(v) {
+    let s = String(v);
+    if (/^[=+\-@]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/** Epoch ms → iCalendar UTC date-time, '20251013T073000Z'. */
+function icsTime(t) {
+    return new Date(t).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function icsText(s) {
+    return String(s).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold at 75 octets; a continuation line starts with a space. */
+function icsFold(line) {
+    let out = '';
+    let bytes = 0;
+    for (const ch of line) {
+        const cp = ch.codePointAt(0);
+        const n = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+        if (bytes + n > 75) {
+            out += '\r\n ';
+            bytes = 1;
+        }
+        out += ch;
+        bytes += n;
+    }
+    return out;
+}
+
+/** 'YYYYMMDDTHHMMSS' (local) or with 'Z' (UTC) → epoch ms; NaN otherwise. */
+function icsParseTime(v) {
+    const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(v);
+    if (!m) return NaN;
+    const f = m.slice(1, 7).map(Number);
+    f[1]--;
+    return m[7] ? Date.UTC(...f) : new Date(...f).getTime();
+}
+
+/** 'PT1H30M', 'P1DT2H' → ms; NaN if malformed. */
+function icsParseDuration(v) {
+    const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(v);
+    if (!m) return NaN;
+    const ms = ((((+m[2] || 0) * 7 + (+m[3] || 0)) * 24 + (+m[4] || 0)) * 60 + (+m[5] || 0)) * 60000 + (+m[6] || 0) * 1000;
+    return m[1] === '-' ? -ms : ms;
+}
+
+/**
+ * VEVENTs as { uid, title, description, start, end } (ms). All-day events are
+ * skipped — the grid has no all-day row. TZID times are read as local: there
+ * is no zone database here, and Outlook exports in the user's own zone.
+ */
+function parseICS(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const out = [];
+    let ev = null;
+    let nested = 0; // VALARM and friends inside a VEVENT have their own DESCRIPTION
+    for (const line of lines) {
+        let c = 0;
+        for (let quoted = false; c < line.length; c++) {
+            if (line[c] === '"') quoted = !quoted;
+            else if (line[c] === ':' && !quoted) break;
+        }
+        if (c === line.length) continue;
+        const name = line.slice(0, c).split(';')[0].toUpperCase();
+        const value = line.slice(c + 1);
+        if (name === 'BEGIN') {
+            if (ev) nested++;
+            else if (value.toUpperCase() === 'VEVENT') ev = {};
+        } else if (name === 'END') {
+            if (nested) nested--;
+            else if (ev && value.toUpperCase() === 'VEVENT') {
+                out.push(ev);
+                ev = null;
+            }
+        } else if (ev && !nested && !(name in ev)) {
+            ev[name] = value;
+        }
+    }
+
+    const unescape = (v) => (v || '').replace(/\\([\\;,nN])/g, (m, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+    const events = [];
+    for (const p of out) {
+        const start = icsParseTime(p.DTSTART);
+        if (isNaN(start)) continue;
+        let end = p.DTEND ? icsParseTime(p.DTEND) : start + (p.DURATION ? icsParseDuration(p.DURATION) : 0);
+        if (isNaN(end)) end = start;
+        events.push({
+            uid: p.UID || '',
+            title: unescape(p.SUMMARY),
+            description: unescape(p.DESCRIPTION),
+            start,
+            end,
+        });
+    }
+    return events;
+}
+
+// ─── Worker support ─────────────────────────────────────────────────────────
+
+// Only a cross-origin isolated page can hand shared memory to a worker (startWorker);
+// elsewhere SharedArrayBuffer is missing or can't be posted
+const SHARED_MEMORY = typeof SharedArrayBuffer !== 'undefined' && !!globalThis.crossOriginIsolated;
+
+// This script, query and all, so the worker imports the very same copy
+const ENGINE_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+/** n elements of Type, on a SharedArrayBuffer when the page can share one. */
+function sharedArray(Type, n) {
+    return SHARED_MEMORY ? new Type(new SharedArrayBuffer(n * Type.BYTES_PER_ELEMENT)) : new Type(n);
+}
+
+// ─── Camera ─────────────────────────────────────────────────────────────────
+
+/**
+ * World ↔ screen for the calendar layer. Zoom stretches the time axis only:
+ * day columns keep their width, so text stays unscaled and a world x is a
+ * screen x plus pan. y zooms about the header line, so hour 0 stays put at
+ * scroll 0. `y` is in screen (zoomed) px.
+ */
+class Camera {
+    constructor() {
+        this.x = 0;
+        this.y = 0;
+        this.zoom = 1;
+    }
+
+    toScreenX(wx) { return wx - this.x; }
+    toScreenY(wy) { return CONFIG.TOP_HEADER + (wy - CONFIG.TOP_HEADER) * this.zoom - this.y; }
+    toWorldX(sx) { return sx + this.x; }
+    toWorldY(sy) { return CONFIG.TOP_HEADER + (sy - CONFIG.TOP_HEADER + this.y) / this.zoom; }
+}
 
 // ─── Engine ─────────────────────────────────────────────────────────────────
 
@@ -83,19 +442,107 @@ class IroncladEngine {
         this.container.style.position = 'relative';
         this.container.style.overflow = 'hidden';
 
-        // ── SoA entity storage ──
+        // ── SoA entity storage — typed columns on shared memory when the worker can read them in place ──
         this.count = 0;
-        this.ids   = new Int32Array(CONFIG.MAX_ENTITIES);
-        this.xs    = new Float32Array(CONFIG.MAX_ENTITIES);
-        this.ys    = new Float32Array(CONFIG.MAX_ENTITIES);
-        this.ws    = new Float32Array(CONFIG.MAX_ENTITIES);
-        this.hs    = new Float32Array(CONFIG.MAX_ENTITIES);
-        this.types = new Uint8Array(CONFIG.MAX_ENTITIES);
+        this.ids   = sharedArray(Int32Array, CONFIG.MAX_ENTITIES);
+        this.xs    = sharedArray(Float32Array, CONFIG.MAX_ENTITIES);
+        this.ys    = sharedArray(Float32Array, CONFIG.MAX_ENTITIES);
+        this.ws    = sharedArray(Float32Array, CONFIG.MAX_ENTITIES);
+        this.hs    = sharedArray(Float32Array, CONFIG.MAX_ENTITIES);
+        this.types = sharedArray(Uint8Array, CONFIG.MAX_ENTITIES);
+        this.flags = sharedArray(Uint8Array, CONFIG.MAX_ENTITIES);
+        this.starts = sharedArray(Float64Array, CONFIG.MAX_ENTITIES); // epoch ms, NaN = unscheduled
+        this.durs  = sharedArray(Float32Array, CONFIG.MAX_ENTITIES);  // minutes
+        this.dues  = sharedArray(Float64Array, CONFIG.MAX_ENTITIES);  // epoch ms, NaN = no due date
         this.labels = new Array(CONFIG.MAX_ENTITIES); // strings can't live in typed arrays
+        this.tasks = new Array(CONFIG.MAX_ENTITIES);  // cold fields: title, description, status...
+        this.serviceLabels = new Array(CONFIG.MAX_ENTITIES); // a task's service names, drawn under its title
+
+        // Every per-entity column, so slot moves can't forget one
+        this._columns = [
+            this.ids, this.xs, this.ys, this.ws, this.hs, this.types, this.flags,
+            this.starts, this.durs, this.dues, this.labels, this.tasks, this.serviceLabels,
+        ];
+
+        // Stable task id → SoA slot. Off the hot path; slots move on remove.
+        this.indexById = new Map();
+        this.entryById = new Map(); // time entries have their own id space
+        this.serviceById = new Map(); // and so do services
+        this.idBlock = 0; // setIdBlock: ids minted here are block·ID_BLOCK + n
+        this.weekStart = startOfWeek(Date.now());
+
+        this.camera = new Camera();
+
+        // ── View: day columns in world px. Collapsed (hidden) columns have width 0. ──
+        this.view = 'week';
+        this.focusCol = 0; // day view: column of the focused day
+        this.colX = new Float32Array(CONFIG.DAYS);
+        this.colW = new Float32Array(CONFIG.DAYS);
+        this.viewAnim = null; // { t0, from/to column and entity geometry, mask }
+
+        // ── Team view: day columns split into a column per user, then one for unassigned ──
+        this.team = false;
+        this.users = [];           // { id, name, hours } from setUsers, in column order
+        this.userCol = new Map();  // user id → its column within a day
+        this.teamCols = 1;         // columns per day: users + unassigned in team view, else 1
+        this.dayBooked = new Float64Array(CONFIG.DAYS); // minutes scheduled per day × team column
+        this._layoutColumns(this.colX, this.colW);
+
+        // ── Lane scratch: side-by-side layout of overlapping tasks ──
+        this.laneOrder = new Int32Array(CONFIG.MAX_ENTITIES);
+        this.laneCol = new Uint16Array(CONFIG.MAX_ENTITIES); // day × team column
+        this.laneOf = new Uint16Array(CONFIG.MAX_ENTITIES);
+        this.laneEnd = new Float32Array(CONFIG.MAX_ENTITIES);
+        this.laneSkip = new Uint8Array(CONFIG.MAX_ENTITIES); // 1 = in hand (_markDragged); left out
+
+        // ── Worker: lane layout and load-time index builds, one job in flight (startWorker) ──
+        this.worker = null;
+        this.workerMode = 'inline'; // 'shared' | 'transfer' once started
+        this.job = null;            // shared mode: order/col in, x/w out, by slot — the worker's own scratch
+        this.layoutGen = 0;         // bumped per lane layout; a reply for an older one is stale
+        this.layoutBusy = false;    // a job is out
+        this.layoutQueued = false;  // the store changed again meanwhile: post once it's back
+        this.decodes = new Map();   // decode id → { text, resolve, reject }
+        this.decodeSeq = 0;
 
-        // ── Spatial index: array-of-arrays, reused via length reset ──
+        // ── Time logging: the timer started here (entry id), totals for the headers ──
+        this.timerId = null;
+        this.dayLogged = new Float64Array(CONFIG.DAYS); // minutes per visible day column
+        this.weekLogged = 0;
+        this.clockAt = 0;   // rAF time of the last clock tick
+        this.nowCol = -1;   // today's column, -1 = not this week
+        this.nowY = 0;      // world y of the now line, as of the last clock tick
+
+        // ── Staging: region in container px, card order scratch ──
+        this.width = 0;
+        this.height = 0;
+        this.staging = { x: 0, y: 0, w: 0, h: 0 };
+        this.stageOrder = new Int32Array(CONFIG.MAX_ENTITIES);
+        this.stageScore = new Float64Array(CONFIG.MAX_ENTITIES);
+        this.stageCount = 0;
+
+        // ── Service list: panel in container px; its rows are F_SERVICE entities ──
+        this.serviceList = {
+            open: false, x: 0, y: 0, w: 0, h: 0,
+            query: '', rows: [], // slots matching the query, in setServices order
+            scroll: 0, wheel: 0, // first row shown; wheel px not yet a whole row
+        };
+        this.searchInput = null; // the search box's <input>, materialized while it has focus
+
+        // ── Spatial index: 2D grid of intrusive linked lists (head[] + next[]) ──
+        // One node per cell an entity overlaps; moving an entity relinks just its
+        // nodes. Entities are in their own space (world or, for cards, screen).
+        // A load skips all that: indexPending holds _reindex off until the
+        // lane layout rebuilds the whole index (in the worker, if there is one).
+        this._initIndex();
+        this.indexPending = false;
+
+        // ── Benchmark mode: the old 1D buckets, rebuilt from scratch, queried alongside ──
+        this.bench = false;
         this.buckets = new Array(CONFIG.MAX_BUCKETS);
         for (let i = 0; i < CONFIG.MAX_BUCKETS; i++) this.buckets[i] = [];
+        this.benchIdx = new Int32Array(CONFIG.MAX_ENTITIES);
+        this.benchStamp = new Uint32Array(CONFIG.MAX_ENTITIES);
 
         // ── Frame-stamp dedup (entities spanning multiple buckets) ──
         this.frameStamp = new Uint32Array(CONFIG.MAX_ENTITIES);
@@ -107,7 +554,27 @@ class IroncladEngine {
         this.candidateCount = 0;
 
         // ── DOM pool ──
+        // Proxies sit in a layer clipped to the grid area, so one scrolled under
+        // the day header or the hour gutter is cut off like its canvas twin.
         this.pool = [];
+        this.proxyLayer = document.createElement('div');
+        this.proxyLayer.style.cssText =
+            `position:absolute;left:${CONFIG.LEFT_GUTTER}px;top:${CONFIG.TOP_HEADER}px;` +
+            'right:0;bottom:0;overflow:hidden;pointer-events:none;';
+
+        // ── Accessibility: the container is the focusable widget; the focused task is
+        // hydrated into a proxy that aria-activedescendant points at ──
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'application');
+        this.container.setAttribute('aria-roledescription', 'calendar');
+        this.container.setAttribute('aria-label',
+            'Calendar. Arrow keys move between tasks, Enter opens, Space picks up and drops, Escape cancels.');
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.style.cssText =
+            'position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+        this.container.appendChild(this.liveRegion);
 
         // ── Canvas ──
         this.dpr = window.devicePixelRatio || 1;
@@ -117,6 +584,23 @@ class IroncladEngine {
         this.ctx = this.canvas.getContext('2d', { alpha: false });
         if (!this.ctx) throw new Error('Canvas 2D unavailable');
 
+        // ── Static layer: background, headers, grid lines, staging panel. Redrawn only
+        // when the camera, columns, size or staging header change; blitted under entities ──
+        this.gridLayer = document.createElement('canvas');
+        this.gridCtx = this.gridLayer.getContext('2d', { alpha: false });
+        this.gridDirty = true;
+        this.gridR = 0; // screen x where the calendar viewport ends
+
+        // ── Dirty rects: screen bounds of the dragged tasks as last painted ──
+        this.dragDirty = false; // only the drag set moved since the last paint
+        this.dmgValid = false;
+        this.dmgX0 = new Float32Array(CONFIG.DIRTY_MAX_RECTS);
+        this.dmgY0 = new Float32Array(CONFIG.DIRTY_MAX_RECTS);
+        this.dmgX1 = new Float32Array(CONFIG.DIRTY_MAX_RECTS);
+        this.dmgY1 = new Float32Array(CONFIG.DIRTY_MAX_RECTS);
+        this.dmgIdx = new Int32Array(CONFIG.MAX_ENTITIES); // entities under one rect, by slot
+        this.sRect = new Float64Array(4); // _screenRect output; f64 so edges match the full paint exactly
+
         // ── Input state ──
         this.mouseX = -9999;
         this.mouseY = -9999;
@@ -126,24 +610,68 @@ class IroncladEngine {
 
         // ── Drag state ──
         this.dragIdx = -1;
+        this.dragMode = 0;
         this.dragOffX = 0;
         this.dragOffY = 0;
         this.dragInputTime = 0;
+        this.dragFromStart = NaN; // pre-drag time, for change events / rollback
+        this.dragFromDur = 0;
+
+        // ── Group drag: other selected tasks riding along with dragIdx ──
+        this.groupCount = 0;
+        this.groupIdx = new Int32Array(CONFIG.MAX_ENTITIES);
+        this.groupDX = new Float32Array(CONFIG.MAX_ENTITIES);  // world offset from dragIdx
+        this.groupDY = new Float32Array(CONFIG.MAX_ENTITIES);
+        this.groupFrom = new Float64Array(CONFIG.MAX_ENTITIES); // pre-drag start
+
+        // ── Rubber band: screen rect from press point to cursor, or null ──
+        this.band = null;
+        this.bandBase = new Uint8Array(CONFIG.MAX_ENTITIES); // selection before the band
+
+        // ── Press state: a proxy mousedown that is a click until it travels CLICK_SLOP ──
+        this.pressIdx = -1;
+        this.pressMode = 0;
+        this.pressX = 0;
+        this.pressY = 0;
+        this.pressEl = null;
+
+        // ── Keyboard: focused task (by id — slots move) and a task picked up with Space ──
+        this.focusId = null;
+        this.kbPick = null; // { id, fromStart, fromDur }
+        this.activeProxy = null; // pool node aria-activedescendant points at
+
+        this.selectedCount = 0;
+
+        // ── Presence: other users, as sync relays them ──
+        this.presence = new Map(); // userId → { cursor: { at, x } | null, drag: [{ id, start, duration }] | null }
+        this.heldBy = new Map();   // task id → userId holding it in a drag; locked here
+        this.pointerIn = false;    // mouseX/Y are stale once the pointer leaves
+
+        // ── Change listeners (sync, history...) — type → fn[] ──
+        this._listeners = {};
+        this.muted = false; // only 'frame' goes out: a telemetry replay's synthetic store and drags
 
         // ── Perf ring buffer ──
         this.frameTimes = new Float64Array(60);
         this.ftHead = 0;
         this.ftCount = 0;
         this.prevTime = 0;
-        this.stats = { fps: 0, frameTime: 0, candidates: 0, dragLatency: 0 };
+        this.stats = {
+            fps: 0, frameTime: 0, candidates: 0, dragLatency: 0,
+            layout: 0, layoutWorker: 0, // lane layout ms here / in the worker
+            paint: 0, paintRects: 0, // last canvas paint, ms; rects 0 = full repaint
+            bench: { grid: 0, buckets: 0, rebuild: 0, mismatches: 0 }, // ms, EMA
+        };
 
         // ── Stats panel ──
         this._buildStatsPanel();
 
         // ── Init ──
         this._initPool();
+        this.container.appendChild(this.proxyLayer);
         this._bindInput();
         this._resize();
+        this.scrollToHour(CONFIG.SCROLL_TO_HOUR);
 
         // Arrow function — bound once, reused every frame
         this._raf = (now) => {
@@ -155,6 +683,13 @@ class IroncladEngine {
             new ResizeObserver(() => this._resize()).observe(this.container);
         }
         window.addEventListener('resize', () => this._resize());
+
+        setInterval(() => {
+            if (this.dragIdx >= 0 || this.stageCount === 0) return;
+            this._layoutStaging();
+            if (this.worker) this._layoutLanes(); // the re-sort goes out with a lane job
+            this.dirty = true;
+        }, CONFIG.STAGING_RESORT_MS);
     }
 
     // ── Public ──────────────────────────────────────────────────────────
@@ -165,260 +700,2816 @@ class IroncladEngine {
         requestAnimationFrame(this._raf);
     }
 
-    setEntityCount(n) {
-        this._generate(Math.max(1, Math.min(n | 0, CONFIG.MAX_ENTITIES)));
+    /** Replace the store with n synthetic tasks. `random` (default Math.random) makes them repeatable. */
+    setEntityCount(n, random = Math.random) {
+        this._generate(Math.max(1, Math.min(n | 0, CONFIG.MAX_ENTITIES)), random);
+    }
+
+    /**
+     * Benchmark mode: every flashlight frame also rebuilds and queries the old
+     * 1D buckets, and the stats panel compares them with the grid.
+     */
+    setBenchmark(on) {
+        this.bench = !!on;
+        const b = this.stats.bench;
+        b.grid = b.buckets = b.rebuild = b.mismatches = 0;
+        this._spans.bench.textContent = '';
+        this.prevMX = -9999;
     }
 
     setFlashlightRadius(r) {
         CONFIG.FLASHLIGHT_RADIUS = Math.max(20, Math.min(r | 0, 600));
     }
 
-    // ── Pool ────────────────────────────────────────────────────────────
-
-    _initPool() {
-        for (let i = 0; i < CONFIG.POOL_SIZE; i++) {
-            const d = document.createElement('div');
-            d.className = 'proxy';
-            d.style.cssText =
-                'position:absolute;display:none;box-sizing:border-box;' +
-                'border:2px solid #00ffcc;background:rgba(0,255,204,0.06);' +
-                'cursor:grab;z-index:10;will-change:transform;' +
-                'border-radius:3px;';
-            this.container.appendChild(d);
-            this.pool.push(d);
+    /**
+     * Hand the heavy non-DOM work to a Web Worker (worker.js): lane layout
+     * after store changes, the index rebuild on loads, and decode(). On a
+     * cross-origin isolated page the worker reads the SoA columns in place
+     * ('shared'); otherwise each job copies what it needs into buffers it
+     * transfers ('transfer'). With no Worker, or once it fails, everything
+     * runs here as before ('inline'). Returns the mode.
+     * @param {string} [url]
+     * @returns {'shared'|'transfer'|'inline'}
+     */
+    startWorker(url = 'worker.js') {
+        if (this.worker || typeof Worker === 'undefined') return this.workerMode;
+        try {
+            this.worker = new Worker(url);
+        } catch (err) {
+            console.warn('worker: unavailable, staying on the main thread', err); // file://, CSP
+            return this.workerMode;
         }
+        this.worker.onmessage = (e) => this._onWorker(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this._workerFailed(e.message);
+        };
+        const init = { type: 'init', engine: ENGINE_URL || 'ironclad.js', shared: null };
+        if (SHARED_MEMORY) {
+            this.job = {
+                order: sharedArray(Int32Array, CONFIG.MAX_ENTITIES),
+                col: sharedArray(Uint16Array, CONFIG.MAX_ENTITIES),
+                x: sharedArray(Float32Array, CONFIG.MAX_ENTITIES),
+                w: sharedArray(Float32Array, CONFIG.MAX_ENTITIES),
+                stage: sharedArray(Int32Array, CONFIG.MAX_ENTITIES),
+                score: sharedArray(Float64Array, CONFIG.MAX_ENTITIES),
+            };
+            init.shared = Object.assign({
+                xs: this.xs, ys: this.ys, ws: this.ws, hs: this.hs, flags: this.flags, ids: this.ids, dues: this.dues,
+            }, this.job);
+        }
+        this.worker.postMessage(init);
+        this.workerMode = SHARED_MEMORY ? 'shared' : 'transfer';
+        return this.workerMode;
     }
 
-    // ── Spatial index ───────────────────────────────────────────────────
+    /**
+     * JSON.parse, in the worker when there is one: a snapshot of thousands of
+     * tasks would otherwise hold up frames while it parses.
+     * @param {string} text
+     * @returns {Promise<any>}
+     */
+    decode(text) {
+        if (!this.worker) return new Promise((resolve) => resolve(JSON.parse(text)));
+        return new Promise((resolve, reject) => {
+            const id = ++this.decodeSeq;
+            this.decodes.set(id, { text, resolve, reject });
+            this.worker.postMessage({ type: 'decode', id, text });
+        });
+    }
 
-    _rebuildIndex() {
-        for (let b = 0; b < CONFIG.MAX_BUCKETS; b++) this.buckets[b].length = 0;
+    /**
+     * Number the tasks and time entries made here (imports, services, timers)
+     * from block·65536 up. Sync passes the id the server gave this client, so
+     * two clients can't mint the same id.
+     */
+    setIdBlock(block) {
+        this.idBlock = block & 0x7fff;
+    }
 
-        for (let i = 0; i < this.count; i++) {
-            const b0 = (this.xs[i] / CONFIG.BUCKET_WIDTH) | 0;
-            const b1 = ((this.xs[i] + this.ws[i]) / CONFIG.BUCKET_WIDTH) | 0;
-            for (let b = b0; b <= b1; b++) {
-                if (b >= 0 && b < CONFIG.MAX_BUCKETS) this.buckets[b].push(i);
-            }
+    /**
+     * Replace the whole store. Task shape:
+     * { id, title, description?, bullets?, status?, priority?, serviceIds?,
+     *   assignee? (user id), type?, start (ms | ISO | Date, empty = unscheduled),
+     *   duration (minutes), due? (ms | ISO | Date) }
+     * Unscheduled tasks that aren't done go to staging. A gesture in progress
+     * and the selection carry over by id; one whose task is gone ends.
+     */
+    setTasks(tasks) {
+        const entries = this.getEntries(); // logged time isn't part of the task list
+        const services = this.getServices(); // nor is the registry
+        const n = Math.min(tasks.length, CONFIG.MAX_ENTITIES - entries.length - services.length);
+        // All or nothing: a bad record throws here, before the old store is gone
+        const recs = new Array(n);
+        for (let k = 0; k < n; k++) recs[k] = normalizeTask(tasks[k]);
+        // Every slot is about to be reassigned (a reconnect's snapshot can land mid-drag)
+        const ref = (i) => (i >= 0 ? { map: this._idMap(i), id: this.ids[i] } : null);
+        const slot = (r) => {
+            const i = r ? r.map.get(r.id) : undefined;
+            return i === undefined ? -1 : i;
+        };
+        const drag = ref(this.dragIdx);
+        const press = ref(this.pressIdx);
+        const group = [];
+        for (let k = 0; k < this.groupCount; k++) group.push(ref(this.groupIdx[k]));
+        const selected = this.getSelection();
+        this.count = 0;
+        this.selectedCount = 0;
+        this.indexById.clear();
+        this.entryById.clear();
+        this.serviceById.clear();
+        this._clearIndex();
+        this.indexPending = true; // rebuilt whole once the lanes are laid out
+        // Services first, so the tasks' service names resolve as they're written
+        for (let k = 0; k < services.length; k++) this._writeService(this.count++, services[k], k);
+        this._layoutServices();
+        for (let k = 0; k < n; k++) {
+            const t = tasks[k];
+            let i = this.indexById.get(t.id);
+            if (i === undefined) i = this.count++;
+            this._writeTask(i, t, recs[k]);
         }
-    }
+        for (let k = 0; k < entries.length; k++) this._writeEntry(this.count++, entries[k]);
 
-    // ── Tick ────────────────────────────────────────────────────────────
+        this.dragIdx = slot(drag); // -1: its task is gone, and the drop with it (like _removeSlot)
+        this.pressIdx = slot(press);
+        for (let k = 0; k < this.groupCount; k++) this.groupIdx[k] = slot(group[k]);
+        for (let k = 0; k < this.groupCount; k++) if (this.groupIdx[k] < 0) this._dropGroupMember(k--);
+        for (let k = 0; k < selected.length; k++) {
+            const i = this.indexById.get(selected[k]);
+            if (i === undefined) continue;
+            this.flags[i] |= F_SELECTED;
+            this.selectedCount++;
+        }
+        this._storeChanged();
+    }
 
-    _tick(now) {
-        const dt = now - this.prevTime;
-        this.prevTime = now;
+    /** Insert or replace a single task by id. */
+    upsertTask(task) {
+        const rec = normalizeTask(task); // throws before a slot is taken
+        let i = this.indexById.get(task.id);
+        if (i === undefined) {
+            if (this.count >= CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+            i = this.count++;
+        }
+        this._writeTask(i, task, rec);
+        this._storeChanged();
+    }
 
-        this.frameTimes[this.ftHead] = dt;
-        this.ftHead = (this.ftHead + 1) % 60;
-        if (this.ftCount < 60) this.ftCount++;
+    removeTask(id) {
+        const i = this.indexById.get(id);
+        if (i === undefined) return false;
+        this._removeSlot(i);
+        this._storeChanged();
+        return true;
+    }
 
-        const moved = this.mouseX !== this.prevMX || this.mouseY !== this.prevMY;
-        if (moved || this.dragIdx >= 0) {
-            this._flashlight();
-            this.prevMX = this.mouseX;
-            this.prevMY = this.mouseY;
+    /**
+     * User-level twin of setTaskTime, for one or many tasks: apply, then emit
+     * `type` ('move' or 'resize') with the changes — for undo/redo, which
+     * must reach the server like a drag would. An `assignee` reassigns too,
+     * as a team-view drop does. Tasks another user is dragging are left be.
+     * @param {{ id: number, start: number|null, duration?: number, assignee?: number|null }[]} times
+     * @param {'move'|'resize'} [type]
+     */
+    moveTasks(times, type = 'move') {
+        const changes = [];
+        for (let k = 0; k < times.length; k++) {
+            const t = times[k];
+            const i = this.indexById.get(t.id);
+            if (i === undefined || this._refuseHeld(i)) continue;
+            const prevStart = this.starts[i];
+            const prevDur = this.durs[i];
+            const prevAssignee = this.tasks[i].assignee;
+            this.starts[i] = toMs(t.start);
+            if (t.duration != null) this.durs[i] = Math.max(CONFIG.MIN_DURATION, +t.duration);
+            if (t.assignee !== undefined) this.tasks[i].assignee = t.assignee;
+            this._place(i);
+            changes.push(this._change(i, prevStart, prevDur, prevAssignee));
         }
+        this._storeChanged(true);
+        if (changes.length) this._emit(type, changes);
+        return changes.length;
+    }
 
-        if (this.dirty) {
-            this._render();
-            this.dirty = false;
+    /**
+     * User create: insert (same shape as setTasks), then emit 'create'.
+     * Existing ids are skipped. All or nothing: a bad record, or more than
+     * fit, throws before any are in.
+     */
+    createTasks(tasks) {
+        const created = [];
+        const recs = tasks.map(normalizeTask);
+        const fresh = new Set();
+        for (const t of tasks) if (!this.indexById.has(t.id)) fresh.add(t.id);
+        if (this.count + fresh.size > CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+        for (let k = 0; k < tasks.length; k++) {
+            const t = tasks[k];
+            if (this.indexById.has(t.id)) continue;
+            this._writeTask(this.count++, t, recs[k]);
+            created.push(this.getTask(t.id));
         }
+        this._storeChanged(true);
+        if (created.length) this._emit('create', created);
+        return created.length;
+    }
 
-        if (this.dragIdx >= 0 && this.dragInputTime > 0) {
-            this.stats.dragLatency = performance.now() - this.dragInputTime;
+    /** User delete: remove, then emit 'delete' with what the tasks were. Held tasks stay. */
+    deleteTasks(ids) {
+        const deleted = [];
+        for (let k = 0; k < ids.length; k++) {
+            const t = this.getTask(ids[k]);
+            if (!t || this._refuseHeld(this.indexById.get(ids[k]))) continue;
+            deleted.push(t);
+            this._removeSlot(this.indexById.get(ids[k]));
         }
+        if (!deleted.length) return 0;
+        this._storeChanged(true);
+        this._emit('delete', deleted);
+        return deleted.length;
+    }
 
-        this._showStats();
+    /**
+     * Reposition a task without emitting a change — for server pushes and
+     * rollbacks, which must not echo back as commands.
+     */
+    setTaskTime(id, start, duration) {
+        const i = this.indexById.get(id);
+        if (i === undefined) return false;
+        this.starts[i] = toMs(start);
+        if (duration != null) this.durs[i] = Math.max(CONFIG.MIN_DURATION, +duration);
+        this._place(i);
+        this._storeChanged();
+        return true;
     }
 
-    // ── Flashlight ──────────────────────────────────────────────────────
+    /**
+     * Subscribe to user-originated changes. Payload is an array of
+     * { id, start, duration, prevStart, prevDuration } (start NaN = unscheduled),
+     * plus { assignee, prevAssignee } when a team-view drop reassigned it.
+     *   'move'   — dropped after a drag (or keyboard / moveTasks)
+     *   'resize' — edge drag released (start and/or duration changed)
+     * Other events:
+     *   'update' — [{ id, fields, prev }] from editTask
+     *   'create' — [task] from createTasks, as getTask returns them
+     *   'delete' — [task] from deleteTasks, as they were before removal
+     *   'log'    — [{ entry, prev }] from startTimer/stopTimer; prev is null for a new entry
+     *   'open'   — task id; plain click on a proxy, or a task made by createFromService
+     *   'select' — selected ids, after any selection change
+     *   'store'  — nothing; the store changed in any way (load, drop, edit, push)
+     *   'frame'  — rAF time, at the top of every tick: frameTimes has the
+     *              interval just ended, stats the last frame's work (telemetry.js)
+     * While muted (a telemetry replay) only 'frame' is emitted.
+     * Returns an unsubscribe function.
+     */
+    on(type, fn) {
+        (this._listeners[type] || (this._listeners[type] = [])).push(fn);
+        return () => {
+            const l = this._listeners[type];
+            const k = l.indexOf(fn);
+            if (k >= 0) l.splice(k, 1);
+        };
+    }
 
-    _flashlight() {
-        this.candidateCount = 0;
-        this.currentFrame++;
+    /**
+     * Apply field changes without emitting — the quiet twin of editTask.
+     * Fields: title, description, bullets, status, priority, serviceIds, assignee.
+     */
+    patchTask(id, fields) {
+        if (!this._patch(id, fields)) return false;
+        this._storeChanged();
+        return true;
+    }
 
-        const rSq = CONFIG.FLASHLIGHT_RADIUS * CONFIG.FLASHLIGHT_RADIUS;
-        const cb = (this.mouseX / CONFIG.BUCKET_WIDTH) | 0;
+    /** User edit: patch, then emit 'update' with the previous values. False if it's not there or held. */
+    editTask(id, fields) {
+        const before = this.getTask(id);
+        if (!before || this._refuseHeld(this.indexById.get(id))) return false;
+        const prev = {};
+        for (const k in fields) prev[k] = before[k];
+        this._patch(id, fields);
+        this._storeChanged(true);
+        this._emit('update', [{ id, fields, prev }]);
+        return true;
+    }
 
-        for (let b = cb - 1; b <= cb + 1; b++) {
-            if (b < 0 || b >= CONFIG.MAX_BUCKETS) continue;
-            const bk = this.buckets[b];
-            for (let j = 0, len = bk.length; j < len; j++) {
-                const i = bk[j];
-
-                if (this.frameStamp[i] === this.currentFrame) continue;
-                this.frameStamp[i] = this.currentFrame;
-
-                // SDF: distance from cursor to nearest point on rect edge
-                // 0 when cursor is inside the rect, positive outside
-                const dx = Math.max(this.xs[i] - this.mouseX, this.mouseX - this.xs[i] - this.ws[i], 0);
-                const dy = Math.max(this.ys[i] - this.mouseY, this.mouseY - this.ys[i] - this.hs[i], 0);
-                const dSq = dx * dx + dy * dy;
-
-                if (dSq <= rSq) {
-                    const c = this.candidateCount++;
-                    this.candidateIdx[c] = i;
-                    this.candidateDist[c] = dSq;
-                }
-            }
+    _patch(id, fields) {
+        const i = this.indexById.get(id);
+        if (i === undefined) return false;
+        const rec = this.tasks[i];
+        const merged = normalizeTask(Object.assign({
+            id,
+            title: rec.title,
+            description: rec.description,
+            status: rec.status,
+            priority: rec.priority,
+            serviceIds: rec.serviceIds,
+            assignee: rec.assignee,
+        }, fields));
+        // Explicit bullets survive a description edit; a description edit re-derives them otherwise
+        if (!fields.bullets && !('description' in fields)) merged.bullets = rec.bullets;
+        this.tasks[i] = merged;
+        this.labels[i] = [merged.title].concat(merged.bullets);
+        this.serviceLabels[i] = this._serviceLabel(merged.serviceIds);
+        this._place(i);
+        return true;
+    }
+
+    /** Replace (or with additive, toggle into) the selection. */
+    select(ids, additive = false) {
+        if (!additive) this._clearSelection();
+        for (let k = 0; k < ids.length; k++) {
+            const i = this.indexById.get(ids[k]);
+            if (i === undefined) continue;
+            this.flags[i] ^= F_SELECTED;
+            this.selectedCount += (this.flags[i] & F_SELECTED) ? 1 : -1;
         }
+        this.dirty = true;
+        this._emit('select', this.getSelection());
+    }
 
-        this.stats.candidates = this.candidateCount;
+    getSelection() {
+        const out = [];
+        if (this.selectedCount === 0) return out;
+        for (let i = 0; i < this.count; i++) {
+            if (this.flags[i] & F_SELECTED) out.push(this.ids[i]);
+        }
+        return out;
+    }
 
-        // Insertion sort — typically <50 candidates
-        for (let i = 1; i < this.candidateCount; i++) {
-            const kd = this.candidateDist[i];
-            const ki = this.candidateIdx[i];
-            let j = i - 1;
-            while (j >= 0 && this.candidateDist[j] > kd) {
-                this.candidateDist[j + 1] = this.candidateDist[j];
-                this.candidateIdx[j + 1] = this.candidateIdx[j];
-                j--;
+    clearSelection() {
+        if (this.selectedCount === 0) return;
+        this._clearSelection();
+        this.dirty = true;
+        this._emit('select', []);
+    }
+
+    /** Plain-object snapshot of a task, or null. */
+    getTask(id) {
+        const i = this.indexById.get(id);
+        if (i === undefined) return null;
+        const rec = this.tasks[i];
+        return {
+            id,
+            title: rec.title,
+            description: rec.description,
+            bullets: rec.bullets.slice(),
+            status: rec.status,
+            priority: PRIORITIES[rec.priority],
+            serviceIds: rec.serviceIds.slice(),
+            assignee: rec.assignee,
+            type: TASK_TYPES[this.types[i]],
+            start: isNaN(this.starts[i]) ? null : this.starts[i],
+            duration: this.durs[i],
+            due: isNaN(this.dues[i]) ? null : this.dues[i],
+        };
+    }
+
+    /**
+     * Replace all time entries. Entry shape:
+     * { id, taskId, start (ms | ISO | Date), end (same; null = running) }
+     * Entries are actual worked time, drawn as a bar beside the planned
+     * blocks. They aren't selectable or draggable.
+     */
+    setEntries(entries) {
+        for (let i = this.count - 1; i >= 0; i--) {
+            if (this.flags[i] & F_LOG) this._removeSlot(i);
+        }
+        for (let k = 0; k < entries.length; k++) {
+            const e = entries[k];
+            let i = this.entryById.get(e.id);
+            if (i === undefined) {
+                if (this.count >= CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+                i = this.count++;
             }
-            this.candidateDist[j + 1] = kd;
-            this.candidateIdx[j + 1] = ki;
+            this._writeEntry(i, e);
         }
+        const timer = this.getTimer();
+        if (!timer || timer.end !== null) this.timerId = null;
+        this._storeChanged();
+    }
 
-        const n = Math.min(this.candidateCount, CONFIG.POOL_SIZE);
-        for (let i = 0; i < CONFIG.POOL_SIZE; i++) {
-            const p = this.pool[i];
-            if (i < n) {
-                const idx = this.candidateIdx[i];
-                if (p.dataset.idx !== String(idx)) {
-                    p.dataset.idx = String(idx);
-                    p.style.width = this.ws[idx] + 'px';
-                    p.style.height = this.hs[idx] + 'px';
-                }
-                p.style.transform = `translate(${this.xs[idx]}px,${this.ys[idx]}px)`;
-                if (p.style.display !== 'block') p.style.display = 'block';
-            } else {
-                if (p.style.display !== 'none') p.style.display = 'none';
-            }
+    /** Insert or replace one time entry by id, without emitting. */
+    upsertEntry(entry) {
+        let i = this.entryById.get(entry.id);
+        if (i === undefined) {
+            if (this.count >= CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+            i = this.count++;
         }
+        this._writeEntry(i, entry);
+        if (entry.id === this.timerId && entry.end != null) this.timerId = null; // stopped elsewhere
+        this._storeChanged();
     }
 
-    // ── Canvas render ───────────────────────────────────────────────────
+    removeEntry(id) {
+        const i = this.entryById.get(id);
+        if (i === undefined) return false;
+        if (id === this.timerId) this.timerId = null;
+        this._removeSlot(i);
+        this._storeChanged();
+        return true;
+    }
 
-    _render() {
-        const W = this.canvas.width;
-        const H = this.canvas.height;
-        const ctx = this.ctx;
-        const dpr = this.dpr;
+    /** All time entries, or those of one task, as plain objects (end null = running). */
+    getEntries(taskId) {
+        const out = [];
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & F_LOG)) continue;
+            if (taskId === undefined || this.tasks[i].taskId === taskId) out.push(this._entrySnapshot(i));
+        }
+        return out;
+    }
 
-        ctx.fillStyle = '#0e0e12';
-        ctx.fillRect(0, 0, W, H);
-        ctx.save();
-        ctx.scale(dpr, dpr);
+    /** Minutes logged on a task, a running timer counted up to now. */
+    loggedMinutes(taskId) {
+        let sum = 0;
+        const now = Date.now();
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & F_LOG) || this.tasks[i].taskId !== taskId) continue;
+            const end = this.tasks[i].end;
+            sum += ((isNaN(end) ? now : end) - this.starts[i]) / 60000;
+        }
+        return sum;
+    }
 
-        const lw = W / dpr;
-        const lh = H / dpr;
-        const gx = CONFIG.LEFT_GUTTER;
-        const gy = CONFIG.TOP_HEADER;
-        const dw = CONFIG.DAY_WIDTH;
-        const hh = CONFIG.HOUR_HEIGHT;
-        const gridR = gx + CONFIG.DAYS * dw;
-        const gridB = gy + HOURS * hh;
+    /** The timer started here, as an entry, or null. */
+    getTimer() {
+        const i = this.timerId === null ? undefined : this.entryById.get(this.timerId);
+        return i === undefined ? null : this._entrySnapshot(i);
+    }
 
-        // Day headers
-        ctx.fillStyle = '#999';
-        ctx.font = '600 11px monospace';
-        ctx.textAlign = 'center';
-        for (let d = 0; d < CONFIG.DAYS; d++) {
-            ctx.fillText(DAY_LABELS[d], gx + d * dw + dw * 0.5, gy - 10);
-        }
+    /**
+     * Start logging time on a task from now. A timer already running here is
+     * stopped first — one timer at a time. Emits 'log'.
+     */
+    startTimer(taskId) {
+        const task = this.getTask(taskId);
+        if (!task) return false;
+        if (this.count >= CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+        const logs = [];
+        const stopped = this._stopTimer();
+        if (stopped) logs.push(stopped);
 
-        // Hour labels
-        ctx.fillStyle = '#555';
-        ctx.font = '10px monospace';
-        ctx.textAlign = 'right';
-        for (let h = 0; h <= HOURS; h++) {
-            const label = String(CONFIG.START_HOUR + h).padStart(2, '0') + ':00';
-            ctx.fillText(label, gx - 8, gy + h * hh + 4);
-        }
+        const id = this._mintId(this.entryById);
+        const i = this.count++;
+        this._writeEntry(i, { id, taskId, start: Date.now(), end: null });
+        this.timerId = id;
+        this._storeChanged();
+        logs.push({ entry: this._entrySnapshot(i), prev: null });
+        this._emit('log', logs);
+        this._announce('Timer started on ' + task.title);
+        return true;
+    }
 
-        // Hour grid lines
-        ctx.strokeStyle = '#252530';
+    /** Stop the timer started here; its entry keeps the interval. Emits 'log'. */
+    stopTimer() {
+        const stopped = this._stopTimer();
+        if (!stopped) return false;
+        this._storeChanged();
+        this._emit('log', [stopped]);
+        const task = this.getTask(stopped.entry.taskId);
+        this._announce('Timer stopped, ' + formatDuration((stopped.entry.end - stopped.entry.start) / 60000) +
+            ' logged' + (task ? ' on ' + task.title : ''));
+        return true;
+    }
+
+    /** Stop the running timer if it's on taskId (or taskId is null), else start one on taskId. */
+    toggleTimer(taskId) {
+        const timer = this.getTimer();
+        if (timer && (taskId == null || timer.taskId === taskId)) return this.stopTimer();
+        return taskId == null ? false : this.startTimer(taskId);
+    }
+
+    /**
+     * The store as typed columns plus cold records (title, bullets… — the
+     * labels derive from them), structured-clone friendly for IndexedDB
+     * (store.js). Layout and selection aren't kept: derived or per-session.
+     */
+    serialize() {
+        const slots = [];
+        for (let i = 0; i < this.count; i++) if (!(this.flags[i] & (F_LOG | F_SERVICE))) slots.push(i);
+        const n = slots.length;
+        const data = {
+            version: 1,
+            ids: new Int32Array(n),
+            types: new Uint8Array(n),
+            starts: new Float64Array(n),
+            durs: new Float32Array(n),
+            dues: new Float64Array(n),
+            records: new Array(n),
+            entries: this.getEntries(),
+            services: this.getServices(),
+            timerId: this.timerId,
+        };
+        for (let k = 0; k < n; k++) {
+            const i = slots[k];
+            data.ids[k] = this.ids[i];
+            data.types[k] = this.types[i];
+            data.starts[k] = this.starts[i];
+            data.durs[k] = this.durs[i];
+            data.dues[k] = this.dues[i];
+            data.records[k] = this.tasks[i];
+        }
+        return data;
+    }
+
+    /** Replace the store with serialize() output. False if it's not one we understand. */
+    restore(data) {
+        if (!data || data.version !== 1) return false;
+        const tasks = new Array(data.ids.length);
+        for (let k = 0; k < tasks.length; k++) {
+            tasks[k] = Object.assign({}, data.records[k], {
+                id: data.ids[k],
+                type: data.types[k],
+                start: data.starts[k],
+                duration: data.durs[k],
+                due: data.dues[k],
+            });
+        }
+        this.setEntries([]); // free their slots before the tasks claim capacity
+        if (data.services) this.setServices(data.services);
+        this.setTasks(tasks);
+        this.setEntries(data.entries);
+        const i = this.entryById.get(data.timerId);
+        if (i !== undefined && isNaN(this.tasks[i].end)) this.timerId = data.timerId;
+        return true;
+    }
+
+    /** One line of outside status (sync state) at the bottom of the stats overlay. */
+    setStatus(text) {
+        this._spans.status.textContent = text;
+    }
+
+    /**
+     * Another user's pointer and drag, as sync relays them. cursor is
+     * { at (epoch ms), x (0–1 across its day column) }; drag lists the tasks
+     * they hold as { id, start (null over staging), duration } — drawn as
+     * ghosts, and locked here until they let go. Either may be null.
+     */
+    setPresence(userId, { cursor, drag }) {
+        this._releaseHeld(userId);
+        if (!cursor && !drag) {
+            this.presence.delete(userId);
+        } else {
+            this.presence.set(userId, { cursor: cursor || null, drag: drag || null });
+            if (drag) for (let k = 0; k < drag.length; k++) this.heldBy.set(drag[k].id, userId);
+        }
+        this.dirty = true;
+    }
+
+    clearPresence(userId) {
+        if (!this.presence.has(userId)) return;
+        this._releaseHeld(userId);
+        this.presence.delete(userId);
+        this.dirty = true;
+    }
+
+    /**
+     * True, and announced, if another user is dragging any of these tasks.
+     * moveTasks, editTask and deleteTasks skip those on their own; this is
+     * for changes that must go all or none (undo/redo).
+     */
+    refuseHeld(ids) {
+        for (let k = 0; k < ids.length; k++) {
+            const i = this.indexById.get(ids[k]);
+            if (i !== undefined && this._refuseHeld(i)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * This user's pointer and drag, in setPresence's shape, for sync to
+     * broadcast. Read from the live drag geometry on demand, so presence
+     * costs the frame loop nothing.
+     */
+    getPresence() {
+        let cursor = null;
+        const mx = this.mouseX;
+        const my = this.mouseY;
+        if (this.pointerIn && mx > CONFIG.LEFT_GUTTER && my > CONFIG.TOP_HEADER && mx < this.gridR) {
+            const wx = this.camera.toWorldX(mx);
+            const col = this._colAt(wx);
+            cursor = { at: this.pointToTime(mx, my), x: this.colW[col] ? (wx - this.colX[col]) / this.colW[col] : 0 };
+        }
+
+        let drag = null;
+        if (this.dragIdx >= 0) {
+            drag = [this._heldTime(this.dragIdx)];
+            for (let k = 0; k < this.groupCount; k++) drag.push(this._heldTime(this.groupIdx[k]));
+        } else if (this.kbPick) {
+            const i = this._slotOf(this.kbPick.id);
+            if (i >= 0) drag = [this._heldTime(i)];
+        }
+        return { cursor, drag };
+    }
+
+    /** [from, to) epoch ms on screen: the week, or the focused day in day view. */
+    visibleRange() {
+        const day = this.view === 'day';
+        return {
+            from: dayStart(this.weekStart, day ? this.focusCol : 0),
+            to: dayStart(this.weekStart, day ? this.focusCol + 1 : CONFIG.DAYS),
+        };
+    }
+
+    /**
+     * Timesheet for the visible range as CSV: one row per time entry starting
+     * in it, oldest first. date/start/end are local; duration is minutes;
+     * service is the task's service ids (';'-separated), user its assignee's
+     * name (the id if setUsers doesn't know them).
+     * A running timer counts up to now.
+     */
+    exportCSV() {
+        const { from, to } = this.visibleRange();
+        const now = Date.now();
+        const rows = [];
+        for (let i = 0; i < this.count; i++) {
+            if ((this.flags[i] & F_LOG) && this.starts[i] >= from && this.starts[i] < to) rows.push(i);
+        }
+        rows.sort((a, b) => this.starts[a] - this.starts[b]);
+
+        const lines = [CSV_COLUMNS.join(',')];
+        for (let k = 0; k < rows.length; k++) {
+            const i = rows[k];
+            const start = this.starts[i];
+            const end = isNaN(this.tasks[i].end) ? now : this.tasks[i].end;
+            const t = this.indexById.get(this.tasks[i].taskId);
+            const rec = t === undefined ? null : this.tasks[t];
+            const user = rec && rec.assignee !== null ? this.userCol.get(rec.assignee) : undefined;
+            lines.push([
+                ymd(new Date(start)),
+                hhmm(new Date(start)),
+                hhmm(new Date(end)),
+                Math.round((end - start) / 60000),
+                rec ? rec.title : '',
+                rec ? rec.serviceIds.join(';') : '',
+                user !== undefined ? this.users[user].name : rec && rec.assignee !== null ? rec.assignee : '',
+            ].map(csvField).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Tasks scheduled in the visible range as iCalendar, one VEVENT each in
+     * UTC. UIDs are stable per task, so a re-export updates Outlook's copy
+     * instead of duplicating it.
+     */
+    exportICS() {
+        const { from, to } = this.visibleRange();
+        const stamp = icsTime(Date.now());
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//IRONCLAD//Timesheet//EN', 'CALSCALE:GREGORIAN'];
+        for (let i = 0; i < this.count; i++) {
+            const start = this.starts[i];
+            if ((this.flags[i] & F_LOG) || isNaN(start) || start < from || start >= to) continue;
+            const rec = this.tasks[i];
+            lines.push(
+                'BEGIN:VEVENT',
+                'UID:task-' + this.ids[i] + '@ironclad',
+                'DTSTAMP:' + stamp,
+                'DTSTART:' + icsTime(start),
+                'DTEND:' + icsTime(start + this.durs[i] * 60000),
+                'SUMMARY:' + icsText(rec.title),
+            );
+            if (rec.description) lines.push('DESCRIPTION:' + icsText(rec.description));
+            lines.push('END:VEVENT');
+        }
+        lines.push('END:VCALENDAR');
+        return lines.map(icsFold).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Create an event task per VEVENT, both edges snapped to the 15-minute
+     * grid. Our own exports of tasks still here are skipped. Goes through
+     * createTasks, so an import syncs and undoes as one step. Returns the
+     * number created.
+     */
+    importICS(text) {
+        const events = parseICS(text);
+        let id = this._mintId(this.indexById);
+        const tasks = [];
+        for (let k = 0; k < events.length; k++) {
+            const ev = events[k];
+            const own = ICS_UID.exec(ev.uid);
+            if (own && this.indexById.has(+own[1])) continue;
+            const start = snapTime(ev.start);
+            tasks.push({
+                id: id++,
+                title: ev.title,
+                description: ev.description,
+                type: 'event',
+                start,
+                duration: Math.max(CONFIG.MIN_DURATION, (snapTime(ev.end) - start) / 60000),
+            });
+        }
+        return tasks.length ? this.createTasks(tasks) : 0;
+    }
+
+    /** Show the week containing `date`; entities re-lay out from their times. */
+    setWeek(date) {
+        this.weekStart = startOfWeek(toMs(date));
+        for (let i = 0; i < this.count; i++) this._place(i);
+        this._storeChanged();
+    }
+
+    /**
+     * Switch between the 7-day week and a single wide day, animating the
+     * columns and tasks between the two layouts. `date` picks the day (default
+     * today) and moves to its week if needed — that jump is not animated.
+     * Ignored mid-drag.
+     * @param {'week'|'day'} mode
+     * @param {number|string|Date} [date]
+     */
+    setView(mode, date) {
+        if (mode !== 'week' && mode !== 'day') throw new Error(`Unknown view "${mode}"`);
+        if (this.dragIdx >= 0) return;
+        if (this.viewAnim) this._endViewAnim();
+
+        let animate = true;
+        const prevFocus = this.focusCol;
+        if (mode === 'day') {
+            const t = date === undefined ? Date.now() : toMs(date);
+            const week = startOfWeek(t);
+            if (week !== this.weekStart) {
+                this.weekStart = week;
+                animate = false;
+            }
+            this.focusCol = this._dayCol(t);
+        }
+        if (animate && mode === this.view && (mode === 'week' || this.focusCol === prevFocus)) return;
+
+        this.view = mode;
+        this._relayout(animate, 0);
+    }
+
+    /**
+     * Team view: each day column splits into a column per user (setUsers
+     * order) and a last one for unassigned tasks, with each user's booked vs
+     * available hours in the header. Dropping a task in another user's
+     * column reassigns it. Works in week and day view; animates like setView
+     * and is ignored mid-drag.
+     */
+    setTeam(on) {
+        on = !!on;
+        if (on === this.team || this.dragIdx >= 0) return;
+        if (this.viewAnim) this._endViewAnim();
+        this.team = on;
+        this._relayout(true, 0);
+    }
+
+    /**
+     * The people tasks are assigned to: [{ id, name, hours? }], hours being
+     * what they can book per day (default WORKDAY_HOURS). Order is the team
+     * view's column order; names label the team view, other users' pointers
+     * and the CSV's user column.
+     */
+    setUsers(users) {
+        this.users = users.map(u => ({
+            id: u.id,
+            name: u.name ? String(u.name) : 'user ' + u.id,
+            hours: u.hours > 0 ? +u.hours : CONFIG.WORKDAY_HOURS,
+        }));
+        this.userCol.clear();
+        for (let k = 0; k < this.users.length; k++) this.userCol.set(this.users[k].id, k);
+        if (this.team) {
+            if (this.viewAnim) this._endViewAnim();
+            this._relayout(false, this.camera.x);
+        } else {
+            this.gridDirty = true;
+            this.dirty = true; // presence labels
+        }
+    }
+
+    /** Display name for a user id: setUsers' name, else "user <id>". */
+    userName(id) {
+        const k = this.userCol.get(id);
+        return k === undefined ? 'user ' + id : this.users[k].name;
+    }
+
+    /**
+     * Replace the service registry. Service shape:
+     * { id, name, code?, description?, priority?, type?, duration? (minutes) }
+     * Services list in the service panel (toggleServices), in this order;
+     * double-clicking one creates a task from it. Tasks reference services by
+     * id (serviceIds, many-to-many) and show their names under the title.
+     */
+    setServices(services) {
+        for (let i = this.count - 1; i >= 0; i--) {
+            if (this.flags[i] & F_SERVICE) this._removeSlot(i);
+        }
+        for (let k = 0; k < services.length; k++) {
+            const s = services[k];
+            let i = this.serviceById.get(s.id);
+            if (i === undefined) {
+                if (this.count >= CONFIG.MAX_ENTITIES) throw new Error('Entity capacity reached');
+                i = this.count++;
+            }
+            this._writeService(i, s, k);
+        }
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & (F_LOG | F_SERVICE))) this.serviceLabels[i] = this._serviceLabel(this.tasks[i].serviceIds);
+        }
+        this._layoutServices();
+        this._storeChanged();
+    }
+
+    /** The registry as plain objects, in setServices order. */
+    getServices() {
+        const slots = [];
+        for (let i = 0; i < this.count; i++) if (this.flags[i] & F_SERVICE) slots.push(i);
+        slots.sort((a, b) => this.tasks[a].order - this.tasks[b].order);
+        return slots.map(i => {
+            const rec = this.tasks[i];
+            return {
+                id: this.ids[i],
+                name: rec.name,
+                code: rec.code,
+                description: rec.description,
+                priority: PRIORITIES[rec.priority],
+                type: TASK_TYPES[rec.type],
+                duration: rec.duration,
+            };
+        });
+    }
+
+    /**
+     * Open or close the service list: a panel between the calendar and
+     * staging, which narrows the calendar (it scrolls sideways). Ignored mid-drag.
+     */
+    toggleServices(open = !this.serviceList.open) {
+        const sl = this.serviceList;
+        if (!!open === sl.open || this.dragIdx >= 0) return;
+        sl.open = !!open;
+        if (!sl.open && this.searchInput) this.searchInput.blur();
+        this._layoutServices();
+        this._setCamera(this.camera.x, this.camera.y, this.camera.zoom); // re-clamp to the new width
+        this.gridDirty = true;
+        this.dirty = true;
+        this.prevMX = -9999;
+    }
+
+    /** Show only services whose name, code or description contains `query` (any case). */
+    filterServices(query) {
+        const sl = this.serviceList;
+        query = String(query || '');
+        if (query === sl.query) return;
+        sl.query = query;
+        sl.scroll = 0;
+        this._layoutServices();
+        this.dirty = true;
+        this.prevMX = -9999; // rows moved under their proxies
+    }
+
+    /**
+     * Focus the service search, opening the list if needed. The box is
+     * painted on the canvas; a real <input> materializes over it for typing
+     * and goes away on blur. Enter creates a task from the first match,
+     * Escape clears the query, then leaves.
+     */
+    focusServiceSearch() {
+        this.toggleServices(true);
+        if (!this.serviceList.open) return;
+        let el = this.searchInput;
+        if (!el) {
+            el = this.searchInput = document.createElement('input');
+            el.type = 'search';
+            el.className = 'service-search';
+            el.placeholder = 'Search services';
+            el.setAttribute('aria-label', 'Search services');
+            el.style.cssText =
+                'position:absolute;z-index:20;box-sizing:border-box;padding:0 8px;' +
+                'background:#0e0e12;color:#ddd;border:1px solid #00ffcc;border-radius:3px;' +
+                'font:11px monospace;outline:none;';
+            el.value = this.serviceList.query;
+            el.addEventListener('input', () => this.filterServices(el.value));
+            el.addEventListener('keydown', (e) => {
+                e.stopPropagation(); // typing, not shortcuts
+                if (e.key === 'Enter') {
+                    const rows = this.serviceList.rows;
+                    if (rows.length) this.createFromService(this.ids[rows[0]]);
+                } else if (e.key === 'Escape') {
+                    if (el.value) {
+                        el.value = '';
+                        this.filterServices('');
+                    } else {
+                        this.container.focus({ preventScroll: true });
+                    }
+                } else {
+                    return;
+                }
+                e.preventDefault();
+            });
+            el.addEventListener('blur', () => {
+                el.remove();
+                this.searchInput = null;
+                this.gridDirty = true; // the painted box shows the query again
+                this.dirty = true;
+            });
+            this._placeSearch();
+            this.container.appendChild(el);
+            this.gridDirty = true;
+            this.dirty = true;
+        }
+        el.focus();
+    }
+
+    /**
+     * New task from a service: its name, description, priority, type and
+     * duration, referencing it. It lands in staging, selected and opened.
+     * Goes through createTasks, so it syncs and undoes. The id is from our
+     * block (setIdBlock). Returns the new id, or null for an unknown service.
+     */
+    createFromService(serviceId) {
+        const j = this.serviceById.get(serviceId);
+        if (j === undefined) return null;
+        const s = this.tasks[j];
+        const id = this._mintId(this.indexById);
+        this.createTasks([{
+            id,
+            title: s.name,
+            description: s.description,
+            priority: s.priority,
+            type: s.type,
+            duration: s.duration,
+            serviceIds: [serviceId],
+            start: null,
+        }]);
+        this.focusId = id;
+        this.select([id]);
+        this._emit('open', id);
+        this._announce('Created ' + s.name + ' in staging');
+        return id;
+    }
+
+    /** Container pixel → epoch ms (unsnapped). Columns clamp to the week. */
+    pointToTime(x, y) {
+        return this._worldToTime(this.camera.toWorldX(x), this.camera.toWorldY(y));
+    }
+
+    /** Epoch ms → container pixel of the entity's top-left, or null if off-week. */
+    timeToPoint(t) {
+        const col = this._dayCol(t);
+        if (col < 0 || col >= CONFIG.DAYS || this.colW[col] === 0) return null;
+        const d = new Date(t);
+        const min = d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60 - CONFIG.START_HOUR * 60;
+        return {
+            x: this.camera.toScreenX(this.colX[col] + CONFIG.COL_PAD),
+            y: this.camera.toScreenY(CONFIG.TOP_HEADER + min / 60 * CONFIG.HOUR_HEIGHT),
+        };
+    }
+
+    /** Scroll so `hour` sits at the top of the grid. */
+    scrollToHour(hour) {
+        this._setCamera(this.camera.x, (hour - CONFIG.START_HOUR) * CONFIG.HOUR_HEIGHT * this.camera.zoom, this.camera.zoom);
+    }
+
+    /** Pan by screen px. */
+    scrollBy(dx, dy) {
+        this._setCamera(this.camera.x + dx, this.camera.y + dy, this.camera.zoom);
+    }
+
+    /** Zoom the time axis, keeping the time under screen y `anchorY` fixed. */
+    setZoom(zoom, anchorY = CONFIG.TOP_HEADER) {
+        const z = Math.max(CONFIG.ZOOM_MIN, Math.min(zoom, CONFIG.ZOOM_MAX));
+        const wy = this.camera.toWorldY(anchorY);
+        const y = CONFIG.TOP_HEADER + (wy - CONFIG.TOP_HEADER) * z - anchorY;
+        this._setCamera(this.camera.x, y, z);
+    }
+
+    // ── Store ───────────────────────────────────────────────────────────
+
+    /** rec is normalizeTask(t), which callers run before taking slot i: it throws on a bad t. */
+    _writeTask(i, t, rec) {
+        this.ids[i] = t.id;
+        this.types[i] = lookup(TASK_TYPES, t.type, 0);
+        // Selection survives a server re-push of the same task
+        this.flags[i] = this.indexById.get(t.id) === i ? this.flags[i] & F_SELECTED : 0;
+        this.starts[i] = toMs(t.start);
+        this.durs[i] = Math.max(CONFIG.MIN_DURATION, +t.duration || 60);
+        this.dues[i] = toMs(t.due);
+        this.tasks[i] = rec;
+        this.labels[i] = [rec.title].concat(rec.bullets);
+        this.serviceLabels[i] = this._serviceLabel(rec.serviceIds);
+        this.indexById.set(t.id, i);
+        this._place(i);
+    }
+
+    _writeService(i, s, order) {
+        const rec = normalizeService(s);
+        rec.order = order;
+        this.ids[i] = s.id;
+        this.types[i] = T_SERVICE;
+        this.flags[i] = F_SERVICE | F_STAGED | F_HIDDEN; // _layoutServices shows the rows that fit
+        this.starts[i] = NaN;
+        this.durs[i] = rec.duration;
+        this.dues[i] = NaN;
+        this.tasks[i] = rec;
+        this.labels[i] = [rec.code ? rec.code + '  ' + rec.name : rec.name];
+        this.serviceLabels[i] = '';
+        this.serviceById.set(s.id, i);
+    }
+
+    /** A task's service names, ' · '-joined; ids the registry doesn't know are left out. */
+    _serviceLabel(ids) {
+        let label = '';
+        for (let k = 0; k < ids.length; k++) {
+            const j = this.serviceById.get(ids[k]);
+            if (j !== undefined) label += (label ? ' · ' : '') + this.tasks[j].name;
+        }
+        return label;
+    }
+
+    /**
+     * One past the highest id of byId's kind in our block (setIdBlock), for
+     * things made here: another client's never get the same id.
+     */
+    _mintId(byId) {
+        const base = this.idBlock * ID_BLOCK;
+        let id = base + 1;
+        for (const k of byId.keys()) if (k >= id && k < base + ID_BLOCK) id = k + 1;
+        return id;
+    }
+
+    _writeEntry(i, e) {
+        const rec = normalizeEntry(e);
+        this.ids[i] = e.id;
+        this.types[i] = T_ENTRY;
+        this.flags[i] = F_LOG;
+        this.starts[i] = toMs(e.start);
+        this.durs[i] = Math.max(0, ((isNaN(rec.end) ? Date.now() : rec.end) - this.starts[i]) / 60000);
+        this.dues[i] = NaN;
+        this.tasks[i] = rec;
+        this.labels[i] = [];
+        this.serviceLabels[i] = '';
+        this.entryById.set(e.id, i);
+        this._place(i);
+    }
+
+    _entrySnapshot(i) {
+        const end = this.tasks[i].end;
+        return { id: this.ids[i], taskId: this.tasks[i].taskId, start: this.starts[i], end: isNaN(end) ? null : end };
+    }
+
+    /** End the timer started here, without emitting. Returns its { entry, prev } or null. */
+    _stopTimer() {
+        const i = this.timerId === null ? undefined : this.entryById.get(this.timerId);
+        this.timerId = null;
+        if (i === undefined || !isNaN(this.tasks[i].end)) return null;
+        const prev = this._entrySnapshot(i);
+        const end = Date.now();
+        this.tasks[i] = { taskId: prev.taskId, end };
+        this.durs[i] = (end - this.starts[i]) / 60000;
+        this._place(i);
+        return { entry: this._entrySnapshot(i), prev };
+    }
+
+    _releaseHeld(userId) {
+        const p = this.presence.get(userId);
+        if (!p || !p.drag) return;
+        for (let k = 0; k < p.drag.length; k++) {
+            if (this.heldBy.get(p.drag[k].id) === userId) this.heldBy.delete(p.drag[k].id);
+        }
+    }
+
+    /** Where a task being dragged here would land now (unsnapped), for presence. */
+    _heldTime(i) {
+        const duration = this.dragIdx >= 0 && this.dragMode !== DRAG_MOVE
+            ? this.hs[i] / CONFIG.HOUR_HEIGHT * 60
+            : this.durs[i];
+        if (this.dragIdx >= 0 && this.dragMode === DRAG_MOVE && this._inStaging(this.mouseX, this.mouseY)) {
+            return { id: this.ids[i], start: null, duration };
+        }
+        const cam = this.camera;
+        const screen = this.flags[i] & F_STAGED; // a card out over the calendar
+        const x = screen ? cam.toWorldX(this.xs[i]) : this.xs[i];
+        const y = screen ? cam.toWorldY(this.ys[i]) : this.ys[i];
+        return { id: this.ids[i], start: this._worldToTime(x + this.ws[i] / 2, y), duration };
+    }
+
+    _emit(type, payload) {
+        if (this.muted && type !== 'frame') return;
+        const l = this._listeners[type];
+        if (!l) return;
+        for (let k = 0; k < l.length; k++) l[k](payload);
+    }
+
+    _change(i, prevStart, prevDuration, prevAssignee) {
+        const c = {
+            id: this.ids[i],
+            start: this.starts[i],
+            duration: this.durs[i],
+            prevStart,
+            prevDuration,
+        };
+        // Only a team-view drop into another user's column changes hands
+        if (prevAssignee !== undefined && prevAssignee !== this.tasks[i].assignee) {
+            c.assignee = this.tasks[i].assignee;
+            c.prevAssignee = prevAssignee;
+        }
+        return c;
+    }
+
+    /** Swap-remove member k from the group drag (its task went away). */
+    _dropGroupMember(k) {
+        const last = --this.groupCount;
+        this.groupIdx[k] = this.groupIdx[last];
+        this.groupDX[k] = this.groupDX[last];
+        this.groupDY[k] = this.groupDY[last];
+        this.groupFrom[k] = this.groupFrom[last];
+    }
+
+    _clearSelection() {
+        for (let i = 0; i < this.count; i++) this.flags[i] &= ~F_SELECTED;
+        this.selectedCount = 0;
+    }
+
+    _moveSlot(from, to) {
+        for (let c = 0; c < this._columns.length; c++) this._columns[c][to] = this._columns[c][from];
+        this._idMap(to).set(this.ids[to], to);
+        // Index nodes follow the entity; `to` was unindexed by the caller
+        for (let n = this.entNode[from]; n >= 0; n = this.nodeSib[n]) this.nodeEnt[n] = to;
+        this.entNode[to] = this.entNode[from];
+        this.entNode[from] = -1;
+        this.entC0[to] = this.entC0[from];
+        this.entC1[to] = this.entC1[from];
+        this.entR0[to] = this.entR0[from];
+        this.entR1[to] = this.entR1[from];
+    }
+
+    /** Swap-remove slot i; the caller runs _storeChanged. */
+    _removeSlot(i) {
+        const id = this.ids[i];
+        const byId = this._idMap(i);
+        const last = this.count - 1;
+        if (this.flags[i] & F_SELECTED) this.selectedCount--;
+        if (this.pressIdx === i || this.pressIdx === last) this.pressIdx = -1;
+        if (this.dragIdx === i) this.dragIdx = -1;
+        else if (this.dragIdx === last) this.dragIdx = i;
+        for (let k = 0; k < this.groupCount; k++) {
+            if (this.groupIdx[k] === i) this._dropGroupMember(k--);
+            else if (this.groupIdx[k] === last) this.groupIdx[k] = i;
+        }
+        this._unindex(i);
+        if (i !== last) this._moveSlot(last, i);
+        byId.delete(id);
+        this.tasks[last] = undefined;
+        this.labels[last] = undefined;
+        this.serviceLabels[last] = undefined;
+        this.count = last;
+    }
+
+    /** The id → slot map slot i's kind lives in. */
+    _idMap(i) {
+        const f = this.flags[i];
+        return f & F_LOG ? this.entryById : f & F_SERVICE ? this.serviceById : this.indexById;
+    }
+
+    /** World px → epoch ms (unsnapped). */
+    _worldToTime(x, y) {
+        const col = this._colAt(x);
+        const min = CONFIG.START_HOUR * 60 + (y - CONFIG.TOP_HEADER) / CONFIG.HOUR_HEIGHT * 60;
+        const d = new Date(dayStart(this.weekStart, col));
+        d.setHours(0, 0, 0, 0);
+        d.setMinutes(min);
+        return d.getTime();
+    }
+
+    /** Clamp and apply a camera; everything on screen is stale afterwards. */
+    _setCamera(x, y, zoom) {
+        const cam = this.camera;
+        const viewW = this._calendarR() - CONFIG.STAGING_GAP - CONFIG.LEFT_GUTTER;
+        const viewH = this.height - CONFIG.TOP_HEADER;
+        const gridW = this.colX[CONFIG.DAYS - 1] + this.colW[CONFIG.DAYS - 1] - CONFIG.LEFT_GUTTER;
+        const maxX = Math.max(0, gridW - viewW);
+        const maxY = Math.max(0, HOURS * CONFIG.HOUR_HEIGHT * zoom - viewH);
+        x = Math.max(0, Math.min(x, maxX));
+        y = Math.max(0, Math.min(y, maxY));
+        if (x === cam.x && y === cam.y && zoom === cam.zoom) return;
+
+        cam.x = x;
+        cam.y = y;
+        cam.zoom = zoom;
+        this.dirty = true;
+        this.gridDirty = true;
+        this.prevMX = -9999; // proxies are positioned in screen px — rehydrate
+        if (this.dragIdx >= 0) this._dragTo(this.dragIdx);
+    }
+
+    /** Column geometry for the current view into X/W (world px). */
+    _layoutColumns(X, W) {
+        // A focused day takes the whole week's width, so staging doesn't move.
+        // Team columns can need more than that; the camera pans across them,
+        // up to what the grid index reaches.
+        const team = this.teamCols * CONFIG.TEAM_COL_W;
+        const reach = Math.floor((CONFIG.MAX_BUCKETS * CONFIG.BUCKET_WIDTH - CONFIG.LEFT_GUTTER) / CONFIG.DAYS);
+        let x = CONFIG.LEFT_GUTTER;
+        for (let c = 0; c < CONFIG.DAYS; c++) {
+            let w = this.view === 'week' ? CONFIG.DAY_WIDTH
+                : c === this.focusCol ? CONFIG.DAYS * CONFIG.DAY_WIDTH : 0;
+            if (this.teamCols > 1 && w > 0) w = Math.min(Math.max(w, team), reach);
+            X[c] = x;
+            W[c] = w;
+            x += w;
+        }
+    }
+
+    /** Visible column under world x, clamped to the first/last visible one. */
+    _colAt(x) {
+        let col = -1;
+        for (let c = 0; c < CONFIG.DAYS; c++) {
+            if (this.colW[c] > 0 && (col < 0 || x >= this.colX[c])) col = c;
+        }
+        return col;
+    }
+
+    /** Day column of a timestamp within the current week (may be out of range). */
+    _dayCol(t) {
+        const d = new Date(t);
+        d.setHours(0, 0, 0, 0);
+        return Math.round((d.getTime() - this.weekStart) / DAY_MS);
+    }
+
+    /** Derive pixel geometry from start + duration. */
+    _place(i) {
+        if (this.flags[i] & F_SERVICE) return; // a list row: _layoutServices
+        const t = this.starts[i];
+        const col = isNaN(t) ? -1 : this._dayCol(t);
+        const min = minuteOfDay(t);
+        const dur = this.durs[i];
+
+        if (isNaN(t) && this.tasks[i].status !== 'done') {
+            // Geometry comes from _layoutStaging; new to the tray, hidden until its card is placed
+            if (!(this.flags[i] & F_STAGED)) {
+                this.flags[i] |= F_STAGED | F_HIDDEN;
+                this._reindex(i);
+            }
+            return;
+        }
+        this.flags[i] &= ~F_STAGED;
+        if (col < 0 || col >= CONFIG.DAYS || min + dur <= 0 || min >= HOURS * 60) {
+            this.flags[i] |= F_HIDDEN;
+            this._reindex(i);
+            return;
+        }
+        // Collapsed columns still get (zero-width) geometry: it's where a view
+        // transition grows their tasks from. In team view the column is the
+        // assignee's share of the day.
+        const cw = this.colW[col] / this.teamCols;
+        const cx = this.colX[col] + this._teamColOf(i) * cw;
+        if (cw > 0) this.flags[i] &= ~F_HIDDEN;
+        else this.flags[i] |= F_HIDDEN;
+        if (this.flags[i] & F_LOG) {
+            // Actual time sits in the right padding, so it never competes with the plan for lanes
+            this.xs[i] = cx + Math.max(0, cw - CONFIG.COL_PAD + 2);
+            this.ws[i] = cw > 0 ? CONFIG.LOG_W : 0;
+        } else {
+            this.xs[i] = cx + Math.min(CONFIG.COL_PAD, cw * 0.5);
+            this.ws[i] = Math.max(0, cw - CONFIG.COL_PAD * 2);
+        }
+        this.ys[i] = CONFIG.TOP_HEADER + min / 60 * CONFIG.HOUR_HEIGHT;
+        this.hs[i] = dur / 60 * CONFIG.HOUR_HEIGHT;
+        this._reindex(i);
+    }
+
+    /**
+     * Slots may have moved or vanished: reindex, repaint, drop stale proxies.
+     * Lanes and the staging order land when the worker answers, unless
+     * lanesNow: a view transition tweens toward them, and the user's own
+     * drops and edits land in their lane or card this frame rather than
+     * full column width (or nowhere) until the reply.
+     */
+    _storeChanged(lanesNow = false) {
+        if (this.dragIdx >= this.count) this.dragIdx = -1;
+        if (this.pressIdx >= this.count) this.pressIdx = -1;
+        if (this.dragIdx < 0) this.groupCount = 0;
+        for (let k = 0; k < this.groupCount; k++) {
+            if (this.groupIdx[k] >= this.count) this._dropGroupMember(k--);
+        }
+        // Slots may have moved under the transition's snapshots — land it now
+        if (this.viewAnim) this._endViewAnim();
+        if (this.teamCols > 1) {
+            // An entry sits in its task's user column, which an edit may just have changed
+            for (let i = 0; i < this.count; i++) if (this.flags[i] & F_LOG) this._place(i);
+            this._sumBooked();
+        }
+        this._layoutStaging(lanesNow);
+        this._layoutLanes(lanesNow); // last: it posts the staging sort too, and a load's index rebuild
+        this._sumLogged();
+        this.dirty = true;
+
+        // Force flashlight refresh on next frame
+        this.prevMX = -9999;
+        // Hide stale proxies; clear idx so a reused slot re-sizes its proxy
+        for (let i = 0; i < this.pool.length; i++) {
+            this.pool[i].style.display = 'none';
+            delete this.pool[i].dataset.idx;
+        }
+        this._emit('store');
+    }
+
+    // ── View layout ─────────────────────────────────────────────────────
+
+    /**
+     * Overlapping tasks share their day column side by side, Outlook-style.
+     * Tasks are swept per column (in team view, per user column) by start; each cluster of transitively
+     * overlapping tasks splits the column into as many lanes as it needs at
+     * its busiest. Runs on every store change, leaving the tasks in hand
+     * alone — here when now (or there's no worker), else as a job for the worker.
+     */
+    _layoutLanes(now = false) {
+        this.layoutGen++;
+        if (this.worker && !now) {
+            if (this.layoutBusy) this.layoutQueued = true;
+            else this._postLayout();
+            return;
+        }
+        this.layoutQueued = false; // this covers it
+        const t0 = performance.now();
+        const n = this._gatherLanes(this.laneOrder, this.laneCol);
+        this._sweepLanes(n, this.laneOrder, this.laneCol, this.xs, this.ws);
+        this._applyLanes(n, this.laneOrder, this.xs, this.ws);
+        if (this.indexPending) this._rebuildIndex();
+        this.stats.layout = performance.now() - t0;
+        this.stats.layoutWorker = 0;
+    }
+
+    /** The calendar tasks to lay out into order, with their day × team column in cols (by slot). */
+    _gatherLanes(order, cols) {
+        let n = 0;
+        this._markDragged(1);
+        for (let i = 0; i < this.count; i++) {
+            if (this.flags[i] & (F_HIDDEN | F_STAGED | F_LOG) || this.laneSkip[i]) continue;
+            cols[i] = this._colAt(this.xs[i]) * this.teamCols + this._teamColOf(i);
+            order[n++] = i;
+        }
+        this._markDragged(0);
+        return n;
+    }
+
+    /** Set laneSkip for the dragged task and its group: they go where the pointer has them. */
+    _markDragged(on) {
+        if (this.dragIdx < 0) return;
+        this.laneSkip[this.dragIdx] = on;
+        for (let k = 0; k < this.groupCount; k++) this.laneSkip[this.groupIdx[k]] = on;
+    }
+
+    /**
+     * Sort order[0..n) and sweep it into lanes, writing each task's x and
+     * width to outX/outW (by slot). Reads only typed arrays and columns, so
+     * the worker runs it as is.
+     */
+    _sweepLanes(n, order, cols, outX, outW) {
+        const ys = this.ys;
+        const hs = this.hs;
+        // Longer first on ties, so a long task takes the leftmost lane
+        order.subarray(0, n).sort((a, b) => (cols[a] - cols[b]) || (ys[a] - ys[b]) || (hs[b] - hs[a]));
+
+        let k = 0;
+        while (k < n) {
+            const k0 = k;
+            const c = cols[order[k0]];
+            let end = -Infinity;
+            let lanes = 0;
+            for (; k < n && (k === k0 || (cols[order[k]] === c && ys[order[k]] < end)); k++) {
+                const i = order[k];
+                let l = 0;
+                while (l < lanes && this.laneEnd[l] > ys[i]) l++;
+                if (l === lanes) lanes++;
+                this.laneEnd[l] = ys[i] + hs[i];
+                this.laneOf[i] = l;
+                end = Math.max(end, ys[i] + hs[i]);
+            }
+            const day = (c / this.teamCols) | 0;
+            const cw = this.colW[day] / this.teamCols;
+            const cx = this.colX[day] + (c - day * this.teamCols) * cw;
+            const lw = (cw - CONFIG.COL_PAD * 2) / lanes;
+            for (let m = k0; m < k; m++) {
+                const i = order[m];
+                outX[i] = cx + CONFIG.COL_PAD + this.laneOf[i] * lw;
+                outW[i] = lw;
+            }
+        }
+    }
+
+    _applyLanes(n, order, x, w) {
+        this._markDragged(1); // picked up while the worker had them
+        for (let k = 0; k < n; k++) {
+            const i = order[k];
+            if (this.laneSkip[i]) continue;
+            this.xs[i] = x[i];
+            this.ws[i] = w[i];
+            this._reindex(i);
+        }
+        this._markDragged(0);
+    }
+
+    /**
+     * Re-derive columns and every task's geometry for the current view and
+     * team setting, then (if animate) rewind to the old layout for _stepView
+     * to tween from. Camera x goes to camX, clamped to the new width.
+     */
+    _relayout(animate, camX) {
+        const n = this.count;
+        const a = {
+            t0: performance.now(),
+            fromColX: this.colX.slice(), fromColW: this.colW.slice(),
+            toColX: new Float32Array(CONFIG.DAYS), toColW: new Float32Array(CONFIG.DAYS),
+            fromX: this.xs.slice(0, n), fromW: this.ws.slice(0, n),
+            toX: null, toW: null,
+            mask: new Uint8Array(n), // animates: on the calendar in either layout
+        };
+        for (let i = 0; i < n; i++) a.mask[i] = this.flags[i] & (F_HIDDEN | F_STAGED) ? 0 : 1;
+
+        this.teamCols = this.team ? this.users.length + 1 : 1;
+        if (this.dayBooked.length !== CONFIG.DAYS * this.teamCols) {
+            this.dayBooked = new Float64Array(CONFIG.DAYS * this.teamCols);
+        }
+        this.gridDirty = true; // day labels, even if the camera doesn't move
+        this._layoutColumns(a.toColX, a.toColW);
+        this.colX.set(a.toColX);
+        this.colW.set(a.toColW);
+        for (let i = 0; i < n; i++) this._place(i);
+        this._storeChanged(animate);
+        this._setCamera(camX, this.camera.y, this.camera.zoom);
+        if (!animate) return;
+
+        // Start from the old layout; _tick steps toward the new one
+        a.toX = this.xs.slice(0, n);
+        a.toW = this.ws.slice(0, n);
+        for (let i = 0; i < n; i++) {
+            if (!(this.flags[i] & (F_HIDDEN | F_STAGED))) a.mask[i] = 1;
+            if (!a.mask[i]) continue;
+            this.flags[i] &= ~F_HIDDEN; // leaving tasks stay drawn while their column shrinks
+            this.xs[i] = a.fromX[i];
+            this.ws[i] = a.fromW[i];
+        }
+        this.colX.set(a.fromColX);
+        this.colW.set(a.fromColW);
+        this.viewAnim = a;
+        for (let i = 0; i < n; i++) if (a.mask[i]) this._reindex(i);
+    }
+
+    /** One frame of a view transition (week ↔ day, team on/off). */
+    _stepView(now) {
+        const a = this.viewAnim;
+        const k = Math.min(1, (now - a.t0) / CONFIG.VIEW_ANIM_MS);
+        if (k >= 1) {
+            this._endViewAnim();
+            this._layoutLanes(true);
+        } else {
+            const e = 1 - (1 - k) * (1 - k) * (1 - k); // ease-out cubic
+            for (let c = 0; c < CONFIG.DAYS; c++) {
+                this.colX[c] = a.fromColX[c] + (a.toColX[c] - a.fromColX[c]) * e;
+                this.colW[c] = a.fromColW[c] + (a.toColW[c] - a.fromColW[c]) * e;
+            }
+            for (let i = 0; i < a.mask.length; i++) {
+                if (!a.mask[i]) continue;
+                this.xs[i] = a.fromX[i] + (a.toX[i] - a.fromX[i]) * e;
+                this.ws[i] = a.fromW[i] + (a.toW[i] - a.fromW[i]) * e;
+                this._reindex(i);
+            }
+        }
+        this.dirty = true;
+        this.gridDirty = true;
+        this.prevMX = -9999;
+    }
+
+    /** Jump to the transition's target: final columns, and flags re-derived. */
+    _endViewAnim() {
+        const a = this.viewAnim;
+        this.viewAnim = null;
+        this.colX.set(a.toColX);
+        this.colW.set(a.toColW);
+        this.gridDirty = true;
+        for (let i = 0; i < this.count; i++) this._place(i);
+    }
+
+    // ── Team ────────────────────────────────────────────────────────────
+
+    /** Column within the day for slot i: its assignee's (an entry: its task's), else unassigned, last. */
+    _teamColOf(i) {
+        if (this.teamCols === 1) return 0;
+        let rec = this.tasks[i];
+        if (this.flags[i] & F_LOG) {
+            const t = this.indexById.get(rec.taskId);
+            rec = t === undefined ? null : this.tasks[t];
+        }
+        const k = rec && rec.assignee !== null ? this.userCol.get(rec.assignee) : undefined;
+        return k === undefined ? this.teamCols - 1 : k;
+    }
+
+    /** Team column under world x within day column col. */
+    _teamColAt(col, x) {
+        if (this.teamCols === 1 || this.colW[col] === 0) return 0;
+        const k = Math.floor((x - this.colX[col]) / (this.colW[col] / this.teamCols));
+        return Math.max(0, Math.min(this.teamCols - 1, k));
+    }
+
+    /**
+     * On drop: task i belongs to whoever's column it landed in. Within its
+     * own column it keeps its assignee, even one with no column of their
+     * own. Returns the assignee it had.
+     */
+    _assignByColumn(i) {
+        const rec = this.tasks[i];
+        const prev = rec.assignee;
+        const col = this._colAt(this.xs[i]);
+        const k = this._teamColAt(col, this.xs[i]);
+        if (k !== this._teamColOf(i)) rec.assignee = k < this.users.length ? this.users[k].id : null;
+        return prev;
+    }
+
+    /** Scheduled minutes per day per team column, for the workload bars. */
+    _sumBooked() {
+        const booked = this.dayBooked;
+        booked.fill(0);
+        for (let i = 0; i < this.count; i++) {
+            if (this.flags[i] & (F_STAGED | F_LOG) || isNaN(this.starts[i])) continue;
+            const col = this._dayCol(this.starts[i]);
+            if (col < 0 || col >= CONFIG.DAYS) continue;
+            booked[col * this.teamCols + this._teamColOf(i)] += this.durs[i];
+        }
+        this.gridDirty = true;
+    }
+
+    // ── Pool ────────────────────────────────────────────────────────────
+
+    _initPool() {
+        for (let i = 0; i < CONFIG.POOL_SIZE; i++) {
+            const d = document.createElement('div');
+            d.className = 'proxy';
+            d.id = this.container.id + '-proxy-' + i;
+            d.setAttribute('role', 'button');
+            d.style.cssText =
+                'position:absolute;display:none;box-sizing:border-box;' +
+                'border:2px solid #00ffcc;background:rgba(0,255,204,0.06);' +
+                'cursor:grab;z-index:10;will-change:transform;' +
+                'border-radius:3px;pointer-events:auto;';
+
+            // Resize grips — real elements so the browser owns the cursor
+            for (const edge of ['top', 'bottom']) {
+                const g = document.createElement('div');
+                g.className = 'proxy-edge';
+                g.dataset.edge = edge;
+                g.style.cssText =
+                    `position:absolute;left:0;right:0;${edge}:-2px;` +
+                    `height:${CONFIG.EDGE_GRIP}px;cursor:ns-resize;`;
+                d.appendChild(g);
+            }
+
+            this.proxyLayer.appendChild(d);
+            this.pool.push(d);
+        }
+    }
+
+    // ── Staging ─────────────────────────────────────────────────────────
+
+    _inStaging(x, y) {
+        const st = this.staging;
+        return x >= st.x && x < st.x + st.w && y >= 0 && y < st.y + st.h;
+    }
+
+    /**
+     * Urgency: priority, bumped when the due date is close or past.
+     * Higher sorts first → top-left card.
+     */
+    _urgency(i, now) {
+        let score = this.tasks[i].priority;
+        const due = this.dues[i];
+        if (!isNaN(due)) {
+            const left = due - now;
+            if (left < 0) score += 3;
+            else if (left < DAY_MS) score += 2;
+            else if (left < 3 * DAY_MS) score += 1;
+        }
+        return score;
+    }
+
+    /**
+     * Sort staged tasks by urgency and lay them out as cards, row-major. The
+     * sort is here when now (or there's no worker), else it goes out with the
+     * next lane job: until it's back, stageOrder is the tray in slot order and
+     * the cards stay where they were.
+     */
+    _layoutStaging(now = false) {
+        const t = Date.now();
+        let n = 0;
+        for (let i = 0; i < this.count; i++) {
+            if ((this.flags[i] & (F_STAGED | F_SERVICE)) !== F_STAGED || i === this.dragIdx) continue;
+            this.stageOrder[n] = i;
+            this.stageScore[i] = this._urgency(i, t);
+            n++;
+        }
+        this.stageCount = n;
+        this.gridDirty = true; // the header shows the count
+        if (this.worker && !now) return;
+        this._sortStaging(n, this.stageOrder, this.stageScore);
+        this._placeCards();
+    }
+
+    /**
+     * Sort order[0..n) most urgent first, then by due date, then id. Reads
+     * only typed arrays, so the worker runs it as is.
+     */
+    _sortStaging(n, order, score) {
+        const dues = this.dues;
+        const ids = this.ids;
+        order.subarray(0, n).sort((a, b) =>
+            (score[b] - score[a]) ||
+            ((isNaN(dues[a]) ? Infinity : dues[a]) - (isNaN(dues[b]) ? Infinity : dues[b])) ||
+            (ids[a] - ids[b]));
+    }
+
+    /** Cards in stageOrder, row-major; a card new to the tray shows from here. */
+    _placeCards() {
+        const st = this.staging;
+        const cw = CONFIG.CARD_W + CONFIG.CARD_GAP;
+        const ch = CONFIG.CARD_H + CONFIG.CARD_GAP;
+        const cols = Math.max(1, Math.floor((st.w + CONFIG.CARD_GAP) / cw));
+        for (let k = 0; k < this.stageCount; k++) {
+            const i = this.stageOrder[k];
+            if (i === this.dragIdx) continue; // picked up while the worker had it
+            this.xs[i] = st.x + (k % cols) * cw;
+            this.ys[i] = st.y + ((k / cols) | 0) * ch;
+            this.ws[i] = CONFIG.CARD_W;
+            this.hs[i] = CONFIG.CARD_H;
+            this.flags[i] &= ~F_HIDDEN;
+            this._reindex(i);
+        }
+    }
+
+    // ── Service list ────────────────────────────────────────────────────
+
+    /** Right edge of the calendar's side: the service list when open, else staging. */
+    _calendarR() {
+        return this.serviceList.open ? this.serviceList.x : this.staging.x;
+    }
+
+    _inServices(x, y) {
+        const sl = this.serviceList;
+        return sl.open && x >= sl.x - 8 && x < this.staging.x - 8 && y >= 0 && y < this.height;
+    }
+
+    /** Search box above the rows, screen px: x, y, w, h. */
+    _searchBox() {
+        const sl = this.serviceList;
+        return [sl.x, CONFIG.TOP_HEADER, sl.w, CONFIG.SEARCH_H - 8];
+    }
+
+    _placeSearch() {
+        const b = this._searchBox();
+        const st = this.searchInput.style;
+        st.left = b[0] + 'px';
+        st.top = b[1] + 'px';
+        st.width = b[2] + 'px';
+        st.height = b[3] + 'px';
+    }
+
+    /**
+     * Filter services by the query and lay out the whole rows that fit from
+     * `scroll` down, as screen-space entities; the rest (and all of them
+     * while the list is closed) are hidden, so they're neither drawn nor indexed.
+     */
+    _layoutServices() {
+        const sl = this.serviceList;
+        const q = sl.query.toLowerCase();
+        const rows = [];
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & F_SERVICE)) continue;
+            this.flags[i] |= F_HIDDEN;
+            const rec = this.tasks[i];
+            if (!q || (rec.name + '\n' + rec.code + '\n' + rec.description).toLowerCase().includes(q)) rows.push(i);
+        }
+        rows.sort((a, b) => this.tasks[a].order - this.tasks[b].order);
+        sl.rows = rows;
+
+        const rh = CONFIG.SERVICE_ROW_H;
+        const fit = Math.max(0, Math.floor(sl.h / rh));
+        sl.scroll = Math.max(0, Math.min(sl.scroll, rows.length - fit));
+        const end = sl.open ? Math.min(rows.length, sl.scroll + fit) : 0;
+        for (let k = sl.scroll; k < end; k++) {
+            const i = rows[k];
+            this.flags[i] &= ~F_HIDDEN;
+            this.xs[i] = sl.x;
+            this.ys[i] = sl.y + (k - sl.scroll) * rh;
+            this.ws[i] = sl.w;
+            this.hs[i] = rh - 4;
+        }
+        for (const i of this.serviceById.values()) this._reindex(i); // hidden ones drop out
+        this.gridDirty = true; // the header shows the count
+    }
+
+    /** Wheel over the list: whole rows, trackpad deltas adding up to one first. */
+    _scrollServices(dy) {
+        const sl = this.serviceList;
+        sl.wheel += dy;
+        const rows = Math.trunc(sl.wheel / CONFIG.SERVICE_ROW_H);
+        if (!rows) return;
+        sl.wheel -= rows * CONFIG.SERVICE_ROW_H;
+        const from = sl.scroll;
+        sl.scroll += rows;
+        this._layoutServices();
+        if (sl.scroll === from) return;
+        this.dirty = true;
+        this.prevMX = -9999;
+    }
+
+    // ── Time logging ────────────────────────────────────────────────────
+
+    /** Clock tick: running entries grow to now, the now line moves, totals follow. */
+    _clock() {
+        const now = Date.now();
+        this.nowCol = this._dayCol(now);
+        this.nowY = CONFIG.TOP_HEADER + minuteOfDay(now) / 60 * CONFIG.HOUR_HEIGHT;
+        this.dirty = true;
+        if (this.viewAnim) return; // entries are mid-flight; the next tick catches up
+
+        let running = false;
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & F_LOG) || !isNaN(this.tasks[i].end)) continue;
+            this.durs[i] = (now - this.starts[i]) / 60000;
+            this._place(i);
+            running = true;
+        }
+        if (running) this._sumLogged();
+    }
+
+    /** Logged minutes per day column of the shown week, and the week's total. */
+    _sumLogged() {
+        this.dayLogged.fill(0);
+        let week = 0;
+        for (let i = 0; i < this.count; i++) {
+            if (!(this.flags[i] & F_LOG)) continue;
+            const col = this._dayCol(this.starts[i]);
+            if (col < 0 || col >= CONFIG.DAYS) continue;
+            this.dayLogged[col] += this.durs[i];
+            week += this.durs[i];
+        }
+        this.weekLogged = week;
+        this.gridDirty = true; // the headers show them
+    }
+
+    // ── Spatial index ───────────────────────────────────────────────────
+
+    _initIndex() {
+        this.cellHead = new Int32Array(CONFIG.MAX_BUCKETS * CONFIG.GRID_ROWS).fill(-1);
+        this.entNode = new Int32Array(CONFIG.MAX_ENTITIES).fill(-1); // first node, -1 = not indexed
+        this.entC0 = new Int16Array(CONFIG.MAX_ENTITIES); // cell range it's indexed under
+        this.entC1 = new Int16Array(CONFIG.MAX_ENTITIES);
+        this.entR0 = new Int16Array(CONFIG.MAX_ENTITIES);
+        this.entR1 = new Int16Array(CONFIG.MAX_ENTITIES);
+        this.nodeEnt = this.nodeCell = this.nodeNext = this.nodePrev = this.nodeSib = null; // _allocNodes grows what's there
+        this._allocNodes(CONFIG.MAX_ENTITIES * 4);
+    }
+
+    _allocNodes(n) {
+        const grow = (a) => { const b = new Int32Array(n); if (a) b.set(a); return b; };
+        const from = this.nodeEnt ? this.nodeEnt.length : 0;
+        this.nodeEnt = grow(this.nodeEnt);   // entity slot
+        this.nodeCell = grow(this.nodeCell); // cell it's linked into
+        this.nodeNext = grow(this.nodeNext); // cell list; free list when unused
+        this.nodePrev = grow(this.nodePrev);
+        this.nodeSib = grow(this.nodeSib);   // next node of the same entity
+        // Thread the new nodes onto the free list
+        for (let k = from; k < n - 1; k++) this.nodeNext[k] = k + 1;
+        this.nodeNext[n - 1] = from > 0 ? this.nodeFree : -1;
+        this.nodeFree = from;
+    }
+
+    _clearIndex() {
+        this.cellHead.fill(-1);
+        this.entNode.fill(-1);
+        const n = this.nodeNext.length;
+        for (let k = 0; k < n - 1; k++) this.nodeNext[k] = k + 1;
+        this.nodeNext[n - 1] = -1;
+        this.nodeFree = 0;
+    }
+
+    /** Full rebuild — loads only; everything else goes through _reindex. */
+    _rebuildIndex() {
+        this.indexPending = false;
+        this._clearIndex();
+        for (let i = 0; i < this.count; i++) this._reindex(i);
+    }
+
+    /**
+     * Bring entity i's index nodes in line with its rect and flags: O(cells it
+     * spans), and a no-op if it stayed within the same cells.
+     */
+    _reindex(i) {
+        if (this.indexPending) return; // a load: _rebuildIndex does everyone at once
+        const hidden = this.flags[i] & F_HIDDEN;
+        let c0 = 0, c1 = -1, r0 = 0, r1 = -1;
+        if (!hidden) {
+            // Columns as the 1D buckets had them: truncate, drop what's out of range
+            c0 = Math.max(0, (this.xs[i] / CONFIG.BUCKET_WIDTH) | 0);
+            c1 = Math.min(CONFIG.MAX_BUCKETS - 1, ((this.xs[i] + this.ws[i]) / CONFIG.BUCKET_WIDTH) | 0);
+            r0 = this._row(this.ys[i]);
+            r1 = this._row(this.ys[i] + this.hs[i]);
+        }
+        if (this.entNode[i] >= 0) {
+            if (c0 === this.entC0[i] && c1 === this.entC1[i] && r0 === this.entR0[i] && r1 === this.entR1[i]) return;
+            this._unindex(i);
+        }
+        if (c0 > c1) return;
+
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                if (this.nodeFree < 0) this._allocNodes(this.nodeEnt.length * 2);
+                const n = this.nodeFree;
+                this.nodeFree = this.nodeNext[n];
+                const cell = r * CONFIG.MAX_BUCKETS + c;
+                const head = this.cellHead[cell];
+                this.nodeEnt[n] = i;
+                this.nodeCell[n] = cell;
+                this.nodeNext[n] = head;
+                this.nodePrev[n] = -1;
+                if (head >= 0) this.nodePrev[head] = n;
+                this.cellHead[cell] = n;
+                this.nodeSib[n] = this.entNode[i];
+                this.entNode[i] = n;
+            }
+        }
+        this.entC0[i] = c0;
+        this.entC1[i] = c1;
+        this.entR0[i] = r0;
+        this.entR1[i] = r1;
+    }
+
+    _unindex(i) {
+        let n = this.entNode[i];
+        while (n >= 0) {
+            const sib = this.nodeSib[n];
+            const next = this.nodeNext[n];
+            const prev = this.nodePrev[n];
+            if (prev >= 0) this.nodeNext[prev] = next;
+            else this.cellHead[this.nodeCell[n]] = next;
+            if (next >= 0) this.nodePrev[next] = prev;
+            this.nodeNext[n] = this.nodeFree;
+            this.nodeFree = n;
+            n = sib;
+        }
+        this.entNode[i] = -1;
+    }
+
+    _row(y) {
+        return Math.max(0, Math.min(Math.floor(y / CONFIG.CELL_HEIGHT), CONFIG.GRID_ROWS - 1));
+    }
+
+    /** Benchmark reference: the old full rebuild of 1D x-buckets. */
+    _rebuildBuckets() {
+        for (let b = 0; b < CONFIG.MAX_BUCKETS; b++) this.buckets[b].length = 0;
+
+        for (let i = 0; i < this.count; i++) {
+            if (this.flags[i] & F_HIDDEN) continue;
+            const b0 = (this.xs[i] / CONFIG.BUCKET_WIDTH) | 0;
+            const b1 = ((this.xs[i] + this.ws[i]) / CONFIG.BUCKET_WIDTH) | 0;
+            for (let b = b0; b <= b1; b++) {
+                if (b >= 0 && b < CONFIG.MAX_BUCKETS) this.buckets[b].push(i);
+            }
+        }
+    }
+
+    // ── Worker ──────────────────────────────────────────────────────────
+
+    /**
+     * Send the lane layout, the staging sort (as _layoutStaging last gathered
+     * it) and, for a load, the index rebuild, as of now, to the worker.
+     */
+    _postLayout() {
+        const t0 = performance.now();
+        const count = this.count;
+        const job = {
+            type: 'layout', gen: this.layoutGen, n: 0, nStage: this.stageCount, count, rebuild: this.indexPending,
+            colX: this.colX.slice(), colW: this.colW.slice(), teamCols: this.teamCols,
+        };
+        const transfer = [];
+        if (this.job) {
+            job.n = this._gatherLanes(this.job.order, this.job.col);
+            this.job.stage.set(this.stageOrder.subarray(0, job.nStage));
+            this.job.score.set(this.stageScore.subarray(0, count));
+        } else {
+            // Not isolated: copies of what it reads, handed over rather than cloned
+            job.n = this._gatherLanes(this.laneOrder, this.laneCol);
+            job.order = this.laneOrder.slice(0, job.n);
+            job.col = this.laneCol.slice(0, count);
+            job.ys = this.ys.slice(0, count);
+            job.hs = this.hs.slice(0, count);
+            job.stage = this.stageOrder.slice(0, job.nStage);
+            job.score = this.stageScore.slice(0, count);
+            job.dues = this.dues.slice(0, count);
+            job.ids = this.ids.slice(0, count);
+            if (job.rebuild) {
+                job.xs = this.xs.slice(0, count);
+                job.ws = this.ws.slice(0, count);
+                job.flags = this.flags.slice(0, count);
+            }
+            for (const k in job) if (ArrayBuffer.isView(job[k])) transfer.push(job[k].buffer);
+        }
+        this.worker.postMessage(job, transfer);
+        this.layoutBusy = true;
+        this.stats.layout = performance.now() - t0;
+    }
+
+    _onWorker(msg) {
+        if (msg.type === 'decoded') {
+            const d = this.decodes.get(msg.id);
+            this.decodes.delete(msg.id);
+            if (msg.error) d.reject(new SyntaxError(msg.error));
+            else d.resolve(msg.value);
+            return;
+        }
+        this.layoutBusy = false;
+        if (this.layoutQueued) {
+            this.layoutQueued = false; // this reply is for an older store
+            this._postLayout();
+            return;
+        }
+        if (msg.gen !== this.layoutGen) return; // laid out here since
+        const t0 = performance.now();
+        const job = this.job || msg;
+        this._applyLanes(msg.n, job.order, job.x, job.w);
+        this.stageOrder.set(job.stage.subarray(0, msg.nStage));
+        this._placeCards();
+        if (msg.index) this._adoptIndex(msg.index);
+        this.stats.layout += performance.now() - t0;
+        this.stats.layoutWorker = msg.ms;
+        this.dirty = true;
+        this.prevMX = -9999; // proxies sit on the old lanes
+    }
+
+    /** Take the worker's index, then catch up on whatever moved while it was building. */
+    _adoptIndex(idx) {
+        for (const k in idx) this[k] = idx[k];
+        this.indexPending = false;
+        for (let i = 0; i < this.count; i++) this._reindex(i);
+    }
+
+    /** The worker died (bad script, out of memory): finish its work here, and do all of it from now on. */
+    _workerFailed(reason) {
+        console.warn('worker: failed, back on the main thread —', reason);
+        this.worker.terminate();
+        this.worker = null;
+        this.job = null;
+        this.workerMode = 'inline';
+        for (const d of this.decodes.values()) {
+            try {
+                d.resolve(JSON.parse(d.text));
+            } catch (err) {
+                d.reject(err);
+            }
+        }
+        this.decodes.clear();
+        if (this.layoutBusy) {
+            this.layoutBusy = false;
+            this._layoutStaging(true);
+            this._layoutLanes(true);
+            this.dirty = true;
+            this.prevMX = -9999;
+        }
+    }
+
+    // ── Tick ────────────────────────────────────────────────────────────
+
+    _tick(now) {
+        const dt = now - this.prevTime;
+        this.prevTime = now;
+
+        this.frameTimes[this.ftHead] = dt;
+        this.ftHead = (this.ftHead + 1) % 60;
+        if (this.ftCount < 60) this.ftCount++;
+        this._emit('frame', now); // before this frame's work: stats still describe the last one
+
+        if (this.viewAnim) this._stepView(now);
+        if (now - this.clockAt >= CONFIG.CLOCK_MS) {
+            this.clockAt = now;
+            this._clock();
+        }
+
+        // Dragging against the top/bottom of the viewport scrolls the day, against
+        // its sides the columns (team view is wider than the screen; otherwise a no-op)
+        if (this.dragIdx >= 0) {
+            if (this.mouseY < CONFIG.TOP_HEADER + CONFIG.AUTOSCROLL_EDGE) this.scrollBy(0, -CONFIG.AUTOSCROLL_SPEED);
+            else if (this.mouseY > this.height - CONFIG.AUTOSCROLL_EDGE) this.scrollBy(0, CONFIG.AUTOSCROLL_SPEED);
+            if (this.mouseX < CONFIG.LEFT_GUTTER + CONFIG.AUTOSCROLL_EDGE) this.scrollBy(-CONFIG.AUTOSCROLL_SPEED, 0);
+            else if (this.mouseX > this.gridR - CONFIG.AUTOSCROLL_EDGE && this.mouseX < this._calendarR() - 8) {
+                this.scrollBy(CONFIG.AUTOSCROLL_SPEED, 0);
+            }
+        }
+
+        // prevMX === -9999 is the "rehydrate" request; the mouse may never have entered
+        const moved = this.mouseX !== this.prevMX || this.mouseY !== this.prevMY || this.prevMX === -9999;
+        if (moved || this.dragIdx >= 0) {
+            this._flashlight();
+            this.prevMX = this.mouseX;
+            this.prevMY = this.mouseY;
+        }
+
+        if (this.dirty) {
+            this._render();
+            this.dirty = false;
+            this.dragDirty = false;
+        } else if (this.dragDirty) {
+            this._renderDamage();
+            this.dragDirty = false;
+        }
+
+        if (this.dragIdx >= 0 && this.dragInputTime > 0) {
+            this.stats.dragLatency = performance.now() - this.dragInputTime;
+        }
+
+        this._showStats();
+    }
+
+    // ── Flashlight ──────────────────────────────────────────────────────
+
+    _flashlight() {
+        this.candidateCount = 0;
+        this.currentFrame++;
+
+        // Calendar entities are indexed by world x, staging cards by screen x
+        const cbWorld = (this.camera.toWorldX(this.mouseX) / CONFIG.BUCKET_WIDTH) | 0;
+        const cbScreen = (this.mouseX / CONFIG.BUCKET_WIDTH) | 0;
+        if (this.bench) this._benchQuery(cbWorld, cbScreen);
+        else this._queryGrid(cbWorld, cbScreen);
+
+        this.stats.candidates = this.candidateCount;
+
+        // The keyboard-focused task always gets a proxy — the first one, via distance -1
+        const f = this.focusId === null ? -1 : this._slotOf(this.focusId);
+        if (f >= 0 && !(this.flags[f] & F_HIDDEN)) {
+            let k = 0;
+            while (k < this.candidateCount && this.candidateIdx[k] !== f) k++;
+            if (k === this.candidateCount) this.candidateIdx[this.candidateCount++] = f;
+            this.candidateDist[k] = -1;
+        }
+
+        // Insertion sort — typically <50 candidates
+        for (let i = 1; i < this.candidateCount; i++) {
+            const kd = this.candidateDist[i];
+            const ki = this.candidateIdx[i];
+            let j = i - 1;
+            while (j >= 0 && this.candidateDist[j] > kd) {
+                this.candidateDist[j + 1] = this.candidateDist[j];
+                this.candidateIdx[j + 1] = this.candidateIdx[j];
+                j--;
+            }
+            this.candidateDist[j + 1] = kd;
+            this.candidateIdx[j + 1] = ki;
+        }
+
+        const cam = this.camera;
+        const gx = CONFIG.LEFT_GUTTER;
+        const gy = CONFIG.TOP_HEADER;
+        const n = Math.min(this.candidateCount, CONFIG.POOL_SIZE);
+        for (let i = 0; i < CONFIG.POOL_SIZE; i++) {
+            const p = this.pool[i];
+            if (i < n) {
+                const idx = this.candidateIdx[i];
+                const screen = this.flags[idx] & F_STAGED;
+                const h = screen ? this.hs[idx] : this.hs[idx] * cam.zoom;
+                if (p.dataset.idx !== String(idx)) {
+                    p.dataset.idx = String(idx);
+                    p.setAttribute('aria-label', this._ariaLabel(idx));
+                    p.style.width = this.ws[idx] + 'px';
+                    p.style.height = h + 'px';
+                    // Staging cards have no duration to resize
+                    const grips = screen ? 'none' : '';
+                    p.firstChild.style.display = grips;
+                    p.lastChild.style.display = grips;
+                    if (idx !== this.dragIdx) p.style.cursor = this.flags[idx] & F_SERVICE ? 'copy' : 'grab';
+                } else if (idx === this.dragIdx || this.prevMX === -9999) {
+                    // Resizes, zone crossings and zoom change the footprint
+                    p.style.width = this.ws[idx] + 'px';
+                    p.style.height = h + 'px';
+                }
+                // Layer origin is the grid corner
+                const sx = screen ? this.xs[idx] : cam.toScreenX(this.xs[idx]);
+                const sy = screen ? this.ys[idx] : cam.toScreenY(this.ys[idx]);
+                p.style.transform = `translate(${sx - gx}px,${sy - gy}px)`;
+                if (p.style.display !== 'block') p.style.display = 'block';
+            } else {
+                if (p.style.display !== 'none') p.style.display = 'none';
+            }
+        }
+
+        // Sorted first, so a hydrated focus is always pool[0]
+        const active = f >= 0 && n > 0 && this.candidateIdx[0] === f ? this.pool[0] : null;
+        if (active !== this.activeProxy) {
+            if (this.activeProxy) this.activeProxy.style.outline = '';
+            if (active) {
+                active.style.outline = '2px solid #fff';
+                this.container.setAttribute('aria-activedescendant', active.id);
+            } else {
+                this.container.removeAttribute('aria-activedescendant');
+            }
+            this.activeProxy = active;
+        }
+    }
+
+    /**
+     * Flashlight query on the grid: index columns cb±1 around the cursor in
+     * world and in screen x (the same columns the 1D buckets scanned), but
+     * only the rows the radius reaches — in world y for calendar entities,
+     * in screen y for cards.
+     */
+    _queryGrid(cbWorld, cbScreen) {
+        const r = CONFIG.FLASHLIGHT_RADIUS;
+        const my = this.mouseY;
+        let r0 = this._row(this.camera.toWorldY(my - r));
+        let r1 = this._row(this.camera.toWorldY(my + r));
+        const s0 = this._row(my - r);
+        const s1 = this._row(my + r);
+        const merged = s0 <= r1 + 1 && r0 <= s1 + 1;
+        if (merged) {
+            r0 = Math.min(r0, s0);
+            r1 = Math.max(r1, s1);
+        }
+        this._scanCells(cbWorld - 1, cbWorld + 1, r0, r1);
+        if (!merged) this._scanCells(cbWorld - 1, cbWorld + 1, s0, s1);
+        if (cbScreen !== cbWorld) {
+            this._scanCells(cbScreen - 1, cbScreen + 1, r0, r1);
+            if (!merged) this._scanCells(cbScreen - 1, cbScreen + 1, s0, s1);
+        }
+    }
+
+    _scanCells(c0, c1, r0, r1) {
+        c0 = Math.max(0, c0);
+        c1 = Math.min(CONFIG.MAX_BUCKETS - 1, c1);
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                for (let n = this.cellHead[r * CONFIG.MAX_BUCKETS + c]; n >= 0; n = this.nodeNext[n]) {
+                    this._consider(this.nodeEnt[n]);
+                }
+            }
+        }
+    }
+
+    /** Benchmark reference: the old query over 1D buckets b0..b1. */
+    _scanBuckets(b0, b1) {
+        for (let b = b0; b <= b1; b++) {
+            if (b < 0 || b >= CONFIG.MAX_BUCKETS) continue;
+            const bk = this.buckets[b];
+            for (let j = 0, len = bk.length; j < len; j++) this._consider(bk[j]);
+        }
+    }
+
+    /**
+     * Flashlight candidate test for one entity, once per frame. SDF is
+     * measured in screen px so the radius means the same thing at every zoom.
+     */
+    _consider(i) {
+        if (this.frameStamp[i] === this.currentFrame) return;
+        this.frameStamp[i] = this.currentFrame;
+        if (this.flags[i] & F_LOG) return;
+
+        const mx = this.mouseX;
+        const my = this.mouseY;
+        let x = this.xs[i];
+        let y = this.ys[i];
+        let h = this.hs[i];
+        if (!(this.flags[i] & F_STAGED)) {
+            const cam = this.camera;
+            const gy = CONFIG.TOP_HEADER;
+            x -= cam.x;
+            y = gy + (y - gy) * cam.zoom - cam.y;
+            h *= cam.zoom;
+            // Scrolled under the header: nothing to grab
+            if (y + h < gy) return;
+        }
+
+        // SDF: distance from cursor to nearest point on rect edge
+        // 0 when cursor is inside the rect, positive outside
+        const dx = Math.max(x - mx, mx - x - this.ws[i], 0);
+        const dy = Math.max(y - my, my - y - h, 0);
+        const dSq = dx * dx + dy * dy;
+
+        if (dSq <= CONFIG.FLASHLIGHT_RADIUS * CONFIG.FLASHLIGHT_RADIUS) {
+            const c = this.candidateCount++;
+            this.candidateIdx[c] = i;
+            this.candidateDist[c] = dSq;
+        }
+    }
+
+    /**
+     * Benchmark mode: rebuild the old buckets from scratch and query them,
+     * then query the grid, and check both found the same set. The grid's
+     * result is the one the flashlight uses.
+     */
+    _benchQuery(cbWorld, cbScreen) {
+        const b = this.stats.bench;
+        const ema = (prev, v) => prev ? prev * 0.9 + v * 0.1 : v;
+
+        const t0 = performance.now();
+        this._rebuildBuckets();
+        const t1 = performance.now();
+        this._scanBuckets(cbWorld - 1, cbWorld + 1);
+        if (cbScreen !== cbWorld) this._scanBuckets(cbScreen - 1, cbScreen + 1);
+        const t2 = performance.now();
+
+        const n = this.candidateCount;
+        const stamp = this.currentFrame;
+        for (let k = 0; k < n; k++) {
+            this.benchIdx[k] = this.candidateIdx[k];
+            this.benchStamp[this.candidateIdx[k]] = stamp;
+        }
+
+        this.candidateCount = 0;
+        this.currentFrame++;
+        const t3 = performance.now();
+        this._queryGrid(cbWorld, cbScreen);
+        const t4 = performance.now();
+
+        let same = this.candidateCount === n;
+        for (let k = 0; same && k < this.candidateCount; k++) {
+            same = this.benchStamp[this.candidateIdx[k]] === stamp;
+        }
+        if (!same) b.mismatches++;
+        b.rebuild = ema(b.rebuild, t1 - t0);
+        b.buckets = ema(b.buckets, t2 - t1);
+        b.grid = ema(b.grid, t4 - t3);
+    }
+
+    // ── Canvas render ───────────────────────────────────────────────────
+
+    /** Full repaint: blit the static layer, then every visible entity. */
+    _render() {
+        const t0 = performance.now();
+        if (this.gridDirty) {
+            this._renderGrid();
+            this.gridDirty = false;
+        }
+
+        const ctx = this.ctx;
+        const cam = this.camera;
+        const z = cam.zoom;
+        const lw = this.canvas.width / this.dpr;
+        const lh = this.canvas.height / this.dpr;
+        const gx = CONFIG.LEFT_GUTTER;
+        const gy = CONFIG.TOP_HEADER;
+        const viewR = this.gridR;
+
+        ctx.drawImage(this.gridLayer, 0, 0);
+        ctx.save();
+        ctx.scale(this.dpr, this.dpr);
+
+        // Calendar entities clip to the viewport under the headers, culled in screen space
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(gx, gy, viewR - gx, lh - gy);
+        ctx.clip();
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        for (let i = 0; i < this.count; i++) {
+            if (this.flags[i] & (F_HIDDEN | F_STAGED)) continue;
+            const ex = this.xs[i] - cam.x;
+            const ey = gy + (this.ys[i] - gy) * z - cam.y;
+            const ew = this.ws[i];
+            const eh = this.hs[i] * z;
+            if (ey > lh || ey + eh < gy || ex > viewR || ex + ew < gx) continue;
+            this._drawEntity(i, ex, ey, ew, eh);
+        }
+        this._drawNow();
+        this._drawPresence();
+        ctx.restore();
+
+        // Service rows, then staging cards (and a card mid-drag over the calendar) — screen space, on top
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        for (let i = 0; i < this.count; i++) {
+            if ((this.flags[i] & (F_SERVICE | F_HIDDEN)) !== F_SERVICE) continue;
+            this._drawEntity(i, this.xs[i], this.ys[i], this.ws[i], this.hs[i]);
+        }
+        for (let i = 0; i < this.count; i++) {
+            if ((this.flags[i] & (F_STAGED | F_SERVICE)) !== F_STAGED) continue;
+            const ey = this.ys[i];
+            const eh = this.hs[i];
+            if (ey > lh || ey + eh < 0 || this.xs[i] > lw) continue;
+            this._drawEntity(i, this.xs[i], ey, this.ws[i], eh);
+        }
+
+        if (this.band) {
+            const b = this.band;
+            const x = Math.min(b.x0, b.x1);
+            const y = Math.min(b.y0, b.y1);
+            ctx.fillStyle = 'rgba(0,255,204,0.08)';
+            ctx.fillRect(x, y, Math.abs(b.x1 - b.x0), Math.abs(b.y1 - b.y0));
+            ctx.strokeStyle = '#00ffcc';
+            ctx.strokeRect(x + 0.5, y + 0.5, Math.abs(b.x1 - b.x0), Math.abs(b.y1 - b.y0));
+        }
+
+        ctx.restore();
+        this._noteDamage();
+        this.stats.paint = performance.now() - t0;
+        this.stats.paintRects = 0;
+    }
+
+    /** Everything that doesn't move with tasks, into the offscreen static layer. */
+    _renderGrid() {
+        const ctx = this.gridCtx;
+        const dpr = this.dpr;
+        const cam = this.camera;
+        const z = cam.zoom;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#0e0e12';
+        ctx.fillRect(0, 0, this.gridLayer.width, this.gridLayer.height);
+        ctx.scale(dpr, dpr);
+
+        const lh = this.gridLayer.height / dpr;
+        const gx = CONFIG.LEFT_GUTTER;
+        const gy = CONFIG.TOP_HEADER;
+        const hh = CONFIG.HOUR_HEIGHT * z; // screen px per hour
+        const st = this.staging;
+        const last = CONFIG.DAYS - 1;
+        const viewR = Math.min(this._calendarR() - 8, this.colX[last] + this.colW[last] - cam.x); // calendar viewport right
+        const top = gy - cam.y;                                        // screen y of START_HOUR
+        const gridB = Math.min(lh, top + HOURS * hh);
+        this.gridR = viewR;
+
+        // Visible hour range only — 24h of lines at zoom 3 is mostly offscreen
+        const h0 = Math.max(0, Math.floor(cam.y / hh));
+        const h1 = Math.min(HOURS, Math.ceil((cam.y + lh - gy) / hh));
+
+        // Day headers: the day, and under it the time logged on it
+        if (this.teamCols > 1) {
+            this._renderTeamHeader(viewR);
+        } else {
+            ctx.textAlign = 'center';
+            for (let d = 0; d < CONFIG.DAYS; d++) {
+                if (this.colW[d] < 40) continue; // collapsed, or nearly, mid-transition
+                const cx = this.colX[d] + this.colW[d] * 0.5 - cam.x;
+                if (cx < gx || cx > viewR) continue;
+                const label = this.view === 'day'
+                    ? DAY_LABELS[d] + ' ' + new Date(dayStart(this.weekStart, d)).getDate()
+                    : DAY_LABELS[d];
+                ctx.fillStyle = '#999';
+                ctx.font = '600 11px monospace';
+                ctx.fillText(label, cx, gy - 17);
+                if (this.dayLogged[d] >= 1) {
+                    ctx.fillStyle = TYPE_COLORS[T_ENTRY][1];
+                    ctx.font = '10px monospace';
+                    ctx.fillText(formatDuration(this.dayLogged[d]), cx, gy - 5);
+                }
+            }
+        }
+
+        // Week total over the hour gutter
+        if (this.weekLogged >= 1) {
+            ctx.textAlign = 'right';
+            ctx.font = '10px monospace';
+            ctx.fillStyle = '#555';
+            ctx.fillText('WEEK', gx - 8, gy - 17);
+            ctx.fillStyle = TYPE_COLORS[T_ENTRY][1];
+            ctx.fillText(formatDuration(this.weekLogged), gx - 8, gy - 5);
+        }
+
+        // Hour labels
+        ctx.fillStyle = '#555';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        for (let h = h0; h <= h1; h++) {
+            const y = top + h * hh;
+            if (y < gy) continue;
+            const label = String(CONFIG.START_HOUR + h).padStart(2, '0') + ':00';
+            ctx.fillText(label, gx - 8, y + 4);
+        }
+
+        // Grid lines clip to the viewport under the headers
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(gx, gy, viewR - gx, lh - gy);
+        ctx.clip();
+
+        // Hour grid lines
+        ctx.strokeStyle = '#252530';
         ctx.lineWidth = 1;
         ctx.beginPath();
-        for (let h = 0; h <= HOURS; h++) {
-            const y = gy + h * hh + 0.5;
+        for (let h = h0; h <= h1; h++) {
+            const y = Math.round(top + h * hh) + 0.5;
             ctx.moveTo(gx, y);
-            ctx.lineTo(gridR, y);
+            ctx.lineTo(viewR, y);
         }
         ctx.stroke();
 
-        // 15-min sub-lines
-        ctx.strokeStyle = '#18181f';
-        ctx.beginPath();
-        for (let h = 0; h < HOURS; h++) {
-            for (let q = 1; q < 4; q++) {
-                const y = gy + h * hh + q * SNAP_Y + 0.5;
-                ctx.moveTo(gx, y);
-                ctx.lineTo(gridR, y);
+        // 15-min sub-lines — dropped when zoomed out so far they'd be a solid fill
+        if (SNAP_Y * z >= 6) {
+            ctx.strokeStyle = '#18181f';
+            ctx.beginPath();
+            for (let h = h0; h < h1; h++) {
+                for (let q = 1; q < 4; q++) {
+                    const y = Math.round(top + h * hh + q * SNAP_Y * z) + 0.5;
+                    ctx.moveTo(gx, y);
+                    ctx.lineTo(viewR, y);
+                }
             }
+            ctx.stroke();
+        }
+
+        // Team columns, fainter than the days they split
+        if (this.teamCols > 1) {
+            ctx.strokeStyle = '#1b1b22';
+            ctx.beginPath();
+            for (let d = 0; d < CONFIG.DAYS; d++) {
+                const cw = this.colW[d] / this.teamCols;
+                if (cw < 4) continue;
+                for (let k = 1; k < this.teamCols; k++) {
+                    const x = Math.round(this.colX[d] + k * cw - cam.x) + 0.5;
+                    if (x < gx || x > viewR) continue;
+                    ctx.moveTo(x, Math.max(gy, top));
+                    ctx.lineTo(x, gridB);
+                }
+            }
+            ctx.stroke();
         }
-        ctx.stroke();
 
         // Day dividers
         ctx.strokeStyle = '#252530';
         ctx.beginPath();
         for (let d = 0; d <= CONFIG.DAYS; d++) {
-            const x = gx + d * dw + 0.5;
-            ctx.moveTo(x, gy);
+            const x = (d < CONFIG.DAYS ? this.colX[d] : this.colX[last] + this.colW[last]) - cam.x + 0.5;
+            ctx.moveTo(x, Math.max(gy, top));
             ctx.lineTo(x, gridB);
         }
         ctx.stroke();
+        ctx.restore();
+
+        // Staging region
+        ctx.fillStyle = '#121218';
+        ctx.fillRect(st.x - 8, 0, st.w + 16, st.y + st.h + 8);
+        ctx.fillStyle = '#999';
+        ctx.font = '600 11px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('STAGING · ' + this.stageCount, st.x, gy - 17);
+
+        // Service list: header and search box; the rows are entities
+        const sl = this.serviceList;
+        if (sl.open) {
+            ctx.fillStyle = '#121218';
+            ctx.fillRect(sl.x - 8, 0, st.x - sl.x, lh);
+            ctx.fillStyle = '#999';
+            ctx.fillText('SERVICES · ' + sl.rows.length, sl.x, gy - 17);
+            const b = this._searchBox();
+            ctx.fillStyle = '#0e0e12';
+            ctx.fillRect(b[0], b[1], b[2], b[3]);
+            ctx.strokeStyle = '#252530';
+            ctx.strokeRect(b[0] + 0.5, b[1] + 0.5, b[2] - 1, b[3] - 1);
+            if (!this.searchInput) { // the <input> is over it while focused
+                ctx.font = '11px monospace';
+                ctx.fillStyle = sl.query ? '#ddd' : '#555';
+                ctx.fillText(sl.query || 'Search services  /', b[0] + 8, b[1] + b[3] / 2 + 4);
+            }
+        }
+    }
+
+    /**
+     * Team view header: the day (and its logged time) at the left of each
+     * day column, then per user column a name, booked/available hours and a
+     * bar for them — red once overbooked. The unassigned column shows what
+     * it holds. Clipped to the calendar, as wide columns run past it.
+     */
+    _renderTeamHeader(viewR) {
+        const ctx = this.gridCtx;
+        const cam = this.camera;
+        const gx = CONFIG.LEFT_GUTTER;
+        const gy = CONFIG.TOP_HEADER;
+        const n = this.teamCols;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(gx, 0, viewR - gx, gy);
+        ctx.clip();
+        ctx.textAlign = 'left';
+        for (let d = 0; d < CONFIG.DAYS; d++) {
+            const cw = this.colW[d] / n;
+            if (cw < 40) continue; // collapsed, or nearly, mid-transition
+            const x0 = this.colX[d] - cam.x;
+            if (x0 > viewR || x0 + this.colW[d] < gx) continue;
+
+            // The day's label follows the viewport's left edge while any of the day shows
+            let label = DAY_LABELS[d] + ' ' + new Date(dayStart(this.weekStart, d)).getDate();
+            if (this.dayLogged[d] >= 1) label += ' · ' + formatDuration(this.dayLogged[d]) + ' logged';
+            ctx.fillStyle = '#999';
+            ctx.font = '600 11px monospace';
+            ctx.fillText(label, Math.max(x0, gx) + 4, gy - 19);
+
+            ctx.font = '10px monospace';
+            const chars = Math.floor((cw - 8) / 6); // monospace 10px: ~6px a character
+            for (let k = 0; k < n; k++) {
+                const x = x0 + k * cw;
+                if (x > viewR || x + cw < gx) continue;
+                const booked = this.dayBooked[d * n + k];
+                const u = this.users[k];
+                if (!u) {
+                    ctx.fillStyle = '#555';
+                    ctx.fillText(('unassigned ' + (booked ? formatDuration(booked) : '')).slice(0, chars), x + 4, gy - 7);
+                    continue;
+                }
+                const hours = ' ' + formatDuration(booked) + '/' + u.hours + 'h';
+                ctx.fillStyle = '#999';
+                ctx.fillText(u.name.slice(0, Math.max(1, chars - hours.length)) + hours, x + 4, gy - 7);
+                const avail = u.hours * 60;
+                const bw = cw - 8;
+                ctx.fillStyle = '#252530';
+                ctx.fillRect(x + 4, gy - 5, bw, 3);
+                ctx.fillStyle = booked > avail ? NOW_COLOR : userColor(u.id);
+                ctx.fillRect(x + 4, gy - 5, bw * Math.min(1, booked / avail), 3);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Drag frame: only the dragged tasks moved, so repaint just the union of
+     * each one's old and new bounds — static layer, then every entity under
+     * the rect in the usual z-order. Falls back to a full repaint when there
+     * are no old bounds to clear or the group is too big to be worth it.
+     */
+    _renderDamage() {
+        if (!this.dmgValid || this.gridDirty || this.indexPending) {
+            this._render();
+            return;
+        }
+        const t0 = performance.now();
+        const dpr = this.dpr;
+        const W = this.canvas.width;
+        const H = this.canvas.height;
+        const pad = 2; // strokes straddle the rect edge
+
+        const n = this.groupCount + 1;
+        for (let k = 0; k < n; k++) {
+            const r = this._screenRect(k ? this.groupIdx[k - 1] : this.dragIdx);
+            // Whole device px, so the blit and the clip line up with no seams
+            const x0 = Math.max(0, Math.floor((Math.min(r[0], this.dmgX0[k]) - pad) * dpr));
+            const y0 = Math.max(0, Math.floor((Math.min(r[1], this.dmgY0[k]) - pad) * dpr));
+            const x1 = Math.min(W, Math.ceil((Math.max(r[2], this.dmgX1[k]) + pad) * dpr));
+            const y1 = Math.min(H, Math.ceil((Math.max(r[3], this.dmgY1[k]) + pad) * dpr));
+            if (x1 > x0 && y1 > y0) this._repaintRect(x0, y0, x1, y1);
+        }
+
+        this._noteDamage();
+        this.stats.paint = performance.now() - t0;
+        this.stats.paintRects = n;
+    }
 
-        // Entities — rect + text per entity so overlapping z-order is correct
-        const LINE_H = 14;
-        const TEXT_PAD = 6;
-        const TITLE_FONT = '600 11px -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif';
-        const BULLET_FONT = '10px -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif';
+    /** Restore one device-px rect from the static layer and redraw what overlaps it. */
+    _repaintRect(x0, y0, x1, y1) {
+        const ctx = this.ctx;
+        const dpr = this.dpr;
+        const w = x1 - x0;
+        const h = y1 - y0;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x0, y0, w, h);
+        ctx.clip();
+        ctx.drawImage(this.gridLayer, x0, y0, w, h, x0, y0, w, h);
+        ctx.scale(dpr, dpr);
         ctx.textBaseline = 'top';
         ctx.textAlign = 'left';
 
-        for (let i = 0; i < this.count; i++) {
-            const ex = this.xs[i];
-            const ey = this.ys[i];
-            const ew = this.ws[i];
-            const eh = this.hs[i];
-            if (ey > lh || ey + eh < 0) continue;
+        const n = this._collectDamage(x0 / dpr, y0 / dpr, x1 / dpr, y1 / dpr);
+        const gx = CONFIG.LEFT_GUTTER;
+        const gy = CONFIG.TOP_HEADER;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(gx, gy, this.gridR - gx, this.canvas.height / dpr - gy);
+        ctx.clip();
+        for (let k = 0; k < n; k++) {
+            const i = this.dmgIdx[k];
+            if (this.flags[i] & F_STAGED) continue;
+            const r = this._screenRect(i);
+            this._drawEntity(i, r[0], r[1], r[2] - r[0], r[3] - r[1]);
+        }
+        this._drawNow();
+        this._drawPresence();
+        ctx.restore();
+
+        for (let k = 0; k < n; k++) {
+            const i = this.dmgIdx[k];
+            if (this.flags[i] & F_SERVICE) this._drawEntity(i, this.xs[i], this.ys[i], this.ws[i], this.hs[i]);
+        }
+        for (let k = 0; k < n; k++) {
+            const i = this.dmgIdx[k];
+            if ((this.flags[i] & (F_STAGED | F_SERVICE)) === F_STAGED) this._drawEntity(i, this.xs[i], this.ys[i], this.ws[i], this.hs[i]);
+        }
+        ctx.restore();
+    }
 
-            const t = this.types[i];
-            ctx.fillStyle = TYPE_COLORS[t][0];
-            ctx.fillRect(ex, ey, ew, eh);
-            ctx.strokeStyle = TYPE_COLORS[t][1];
-            ctx.strokeRect(ex, ey, ew, eh);
+    /**
+     * Entities whose bounds touch a screen rect into dmgIdx, sorted by slot
+     * (the full repaint's draw order). Found through the grid in both spaces;
+     * _dragTo keeps the dragged tasks indexed where they are.
+     */
+    _collectDamage(x0, y0, x1, y1) {
+        const cam = this.camera;
+        const bw = CONFIG.BUCKET_WIDTH;
+        this.currentFrame++;
 
-            if (eh < 20) continue;
+        let n = this._scanDamage((cam.toWorldX(x0) / bw) | 0, (cam.toWorldX(x1) / bw) | 0,
+            this._row(cam.toWorldY(y0)), this._row(cam.toWorldY(y1)), x0, y0, x1, y1, 0);
+        n = this._scanDamage((x0 / bw) | 0, (x1 / bw) | 0, this._row(y0), this._row(y1), x0, y0, x1, y1, n);
 
-            // Clip text to entity bounds
-            ctx.save();
-            ctx.beginPath();
-            ctx.rect(ex, ey, ew, eh);
-            ctx.clip();
+        this.dmgIdx.subarray(0, n).sort();
+        return n;
+    }
+
+    _scanDamage(c0, c1, r0, r1, x0, y0, x1, y1, n) {
+        c0 = Math.max(0, c0);
+        c1 = Math.min(CONFIG.MAX_BUCKETS - 1, c1);
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                for (let node = this.cellHead[r * CONFIG.MAX_BUCKETS + c]; node >= 0; node = this.nodeNext[node]) {
+                    n = this._damageHit(this.nodeEnt[node], x0, y0, x1, y1, n);
+                }
+            }
+        }
+        return n;
+    }
 
-            const lines = this.labels[i];
-            let ty = ey + 4;
+    _damageHit(i, x0, y0, x1, y1, n) {
+        if (this.frameStamp[i] === this.currentFrame) return n;
+        this.frameStamp[i] = this.currentFrame;
+        if (this.flags[i] & F_HIDDEN) return n;
+        const r = this._screenRect(i);
+        // 1px slack: a neighbour's stroke reaches half a px past its bounds
+        if (r[0] - 1 > x1 || r[2] + 1 < x0 || r[1] - 1 > y1 || r[3] + 1 < y0) return n;
+        this.dmgIdx[n] = i;
+        return n + 1;
+    }
 
-            ctx.font = TITLE_FONT;
-            ctx.fillStyle = '#ddd';
-            ctx.fillText(lines[0], ex + TEXT_PAD, ty);
-            ty += LINE_H;
+    /** Screen-px bounds of entity i into sRect as x0, y0, x1, y1. */
+    _screenRect(i) {
+        const r = this.sRect;
+        if (this.flags[i] & F_STAGED) {
+            r[0] = this.xs[i];
+            r[1] = this.ys[i];
+            r[2] = r[0] + this.ws[i];
+            r[3] = r[1] + this.hs[i];
+        } else {
+            const cam = this.camera;
+            r[0] = cam.toScreenX(this.xs[i]);
+            r[1] = cam.toScreenY(this.ys[i]);
+            r[2] = r[0] + this.ws[i];
+            r[3] = r[1] + this.hs[i] * cam.zoom;
+        }
+        return r;
+    }
+
+    /** Remember where the dragged tasks were painted, for the next frame's damage. */
+    _noteDamage() {
+        this.dmgValid = false;
+        if (this.dragIdx < 0 || this.groupCount >= CONFIG.DIRTY_MAX_RECTS) return;
+        for (let k = 0; k <= this.groupCount; k++) {
+            const r = this._screenRect(k ? this.groupIdx[k - 1] : this.dragIdx);
+            this.dmgX0[k] = r[0];
+            this.dmgY0[k] = r[1];
+            this.dmgX1[k] = r[2];
+            this.dmgY1[k] = r[3];
+        }
+        this.dmgValid = true;
+    }
 
-            if (ty + LINE_H <= ey + eh) {
-                ctx.font = BULLET_FONT;
-                ctx.fillStyle = '#888';
+    /** Now line across today's column, as of the last clock tick. Inside the calendar clip. */
+    _drawNow() {
+        const col = this.nowCol;
+        if (col < 0 || col >= CONFIG.DAYS || this.colW[col] === 0) return;
+        const ctx = this.ctx;
+        const cam = this.camera;
+        const x = cam.toScreenX(this.colX[col]);
+        const y = Math.round(cam.toScreenY(this.nowY)) + 0.5;
+        ctx.strokeStyle = NOW_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + this.colW[col], y);
+        ctx.stroke();
+        ctx.fillStyle = NOW_COLOR;
+        ctx.fillRect(x, y - 2.5, 4, 5);
+    }
 
-                for (let l = 1; l < 5; l++) {
-                    if (ty + LINE_H > ey + eh) break;
-                    ctx.fillText('- ' + lines[l], ex + TEXT_PAD, ty);
-                    ty += LINE_H;
+    /**
+     * Other users: an outline on each task they hold, a ghost where it would
+     * land, and their pointer. Inside the calendar clip; a handful of users,
+     * so no culling.
+     */
+    _drawPresence() {
+        if (this.presence.size === 0) return;
+        const ctx = this.ctx;
+        const cam = this.camera;
+        ctx.font = BULLET_FONT;
+        for (const [user, p] of this.presence) {
+            const color = userColor(user);
+            const name = this.userName(user);
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            if (p.drag) {
+                for (let k = 0; k < p.drag.length; k++) {
+                    const d = p.drag[k];
+                    const i = this.indexById.get(d.id);
+                    if (i !== undefined && !(this.flags[i] & (F_HIDDEN | F_STAGED))) {
+                        const r = this._screenRect(i);
+                        ctx.lineWidth = 2;
+                        ctx.strokeRect(r[0] + 1, r[1] + 1, r[2] - r[0] - 2, r[3] - r[1] - 2);
+                        ctx.lineWidth = 1;
+                    }
+                    const col = d.start === null ? -1 : this._dayCol(d.start);
+                    if (col < 0 || col >= CONFIG.DAYS || this.colW[col] === 0) continue;
+                    // Team view: in the task's user column — presence carries a time, not a user
+                    const cw = this.colW[col] / this.teamCols;
+                    const tc = i === undefined ? this.teamCols - 1 : this._teamColOf(i);
+                    const x = cam.toScreenX(this.colX[col] + tc * cw + CONFIG.COL_PAD);
+                    const y = cam.toScreenY(CONFIG.TOP_HEADER + minuteOfDay(d.start) / 60 * CONFIG.HOUR_HEIGHT);
+                    const w = cw - CONFIG.COL_PAD * 2;
+                    const h = d.duration / 60 * CONFIG.HOUR_HEIGHT * cam.zoom;
+                    ctx.globalAlpha = 0.2;
+                    ctx.fillRect(x, y, w, h);
+                    ctx.globalAlpha = 1;
+                    ctx.setLineDash([4, 3]);
+                    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+                    ctx.setLineDash([]);
+                    if (k === 0) ctx.fillText(name, x + TEXT_PAD, y + h + 2);
                 }
             }
+            const c = p.cursor;
+            const col = c ? this._dayCol(c.at) : -1;
+            if (col < 0 || col >= CONFIG.DAYS || this.colW[col] === 0) continue;
+            const x = cam.toScreenX(this.colX[col] + c.x * this.colW[col]);
+            const y = cam.toScreenY(CONFIG.TOP_HEADER + minuteOfDay(c.at) / 60 * CONFIG.HOUR_HEIGHT);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, y + 12);
+            ctx.lineTo(x + 8, y + 8);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText(name, x + 10, y + 10);
+        }
+    }
+
+    /** Rect + text for one entity at a screen rect. */
+    _drawEntity(i, ex, ey, ew, eh) {
+        const ctx = this.ctx;
+        const t = this.types[i];
+        ctx.fillStyle = TYPE_COLORS[t][0];
+        ctx.fillRect(ex, ey, ew, eh);
+        ctx.strokeStyle = TYPE_COLORS[t][1];
+        ctx.strokeRect(ex, ey, ew, eh);
+        if ((this.flags[i] & (F_STAGED | F_SERVICE)) === F_STAGED) {
+            ctx.fillStyle = PRIORITY_COLORS[this.tasks[i].priority];
+            ctx.fillRect(ex, ey, 3, eh);
+        }
+        const who = this.tasks[i].assignee; // undefined on time entries
+        if (who != null) {
+            // Left edge on the calendar; cards already use it for priority
+            ctx.fillStyle = userColor(who);
+            ctx.fillRect(this.flags[i] & F_STAGED ? ex + ew - 3 : ex, ey, 3, eh);
+        }
+        if (this.flags[i] & F_SELECTED) {
+            ctx.strokeStyle = '#00ffcc';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(ex + 1, ey + 1, ew - 2, eh - 2);
+            ctx.lineWidth = 1;
+        }
+        if (this.flags[i] & F_LOG) {
+            // A running timer's growing end meets the now line
+            if (isNaN(this.tasks[i].end)) {
+                ctx.fillStyle = NOW_COLOR;
+                ctx.fillRect(ex, ey + eh - 2, ew, 2);
+            }
+            return; // a bar, too narrow for text
+        }
+
+        if (eh < 20) return;
+
+        // Clip text to entity bounds
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(ex, ey, ew, eh);
+        ctx.clip();
 
-            ctx.restore();
+        const lines = this.labels[i];
+        let ty = ey + 4;
+
+        ctx.font = TITLE_FONT;
+        ctx.fillStyle = '#ddd';
+        ctx.fillText(lines[0], ex + TEXT_PAD, ty);
+        ty += LINE_H;
+
+        const services = this.serviceLabels[i];
+        if (services && ty + LINE_H <= ey + eh) {
+            ctx.font = BULLET_FONT;
+            ctx.fillStyle = TYPE_COLORS[T_SERVICE][1];
+            ctx.fillText(services, ex + TEXT_PAD, ty);
+            ty += LINE_H;
+        }
+
+        if (ty + LINE_H <= ey + eh) {
+            ctx.font = BULLET_FONT;
+            ctx.fillStyle = '#888';
+
+            for (let l = 1; l < lines.length; l++) {
+                if (ty + LINE_H > ey + eh) break;
+                ctx.fillText('- ' + lines[l], ex + TEXT_PAD, ty);
+                ty += LINE_H;
+            }
         }
 
         ctx.restore();
@@ -432,48 +3523,542 @@ class IroncladEngine {
             this.mouseX = e.clientX - r.left;
             this.mouseY = e.clientY - r.top;
 
+            if (this.pressIdx >= 0) {
+                const dx = this.mouseX - this.pressX;
+                const dy = this.mouseY - this.pressY;
+                if (dx * dx + dy * dy <= CONFIG.CLICK_SLOP * CONFIG.CLICK_SLOP) return;
+                this._beginDrag();
+            }
+
             if (this.dragIdx >= 0) {
                 this.dragInputTime = performance.now();
-                this.xs[this.dragIdx] = this.mouseX - this.dragOffX;
-                this.ys[this.dragIdx] = this.mouseY - this.dragOffY;
-                this.dirty = true;
+                this._dragTo(this.dragIdx);
+                this.dragDirty = true;
+            } else if (this.band) {
+                this.band.x1 = this.mouseX;
+                this.band.y1 = this.mouseY;
+                this._bandSelect();
             }
         });
 
         this.container.addEventListener('mousedown', (e) => {
-            const t = e.target;
-            if (!t.classList || !t.classList.contains('proxy')) return;
+            if (this.viewAnim) return; // geometry is mid-flight
+            let t = e.target;
+            if (t === this.searchInput) return; // typing, not a press
+            let mode = DRAG_MOVE;
+            if (t.classList && t.classList.contains('proxy-edge')) {
+                mode = t.dataset.edge === 'top' ? DRAG_TOP : DRAG_BOTTOM;
+                t = t.parentNode;
+            }
+            if (!t.classList || !t.classList.contains('proxy')) {
+                if (e.button !== 0) return;
+                if (this._inServices(this.mouseX, this.mouseY)) {
+                    const b = this._searchBox();
+                    const x = this.mouseX - b[0];
+                    const y = this.mouseY - b[1];
+                    if (x >= 0 && x < b[2] && y >= 0 && y < b[3]) {
+                        this.focusServiceSearch();
+                        e.preventDefault(); // or the container takes focus back
+                    }
+                    return;
+                }
+                const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+                if (!additive) this.clearSelection();
+                // Empty grid: rubber band. The canvas takes no events, so hits come from the index.
+                const x = this.mouseX;
+                const y = this.mouseY;
+                if (x > CONFIG.LEFT_GUTTER && y > CONFIG.TOP_HEADER && x < this._calendarR() - 8) {
+                    for (let i = 0; i < this.count; i++) this.bandBase[i] = this.flags[i] & F_SELECTED;
+                    this.band = { x0: x, y0: y, x1: x, y1: y };
+                    e.preventDefault();
+                }
+                return;
+            }
             const idx = parseInt(t.dataset.idx);
             if (isNaN(idx) || idx < 0 || idx >= this.count) return;
+            if (this.flags[idx] & F_SERVICE) {
+                e.preventDefault(); // rows aren't pressed or dragged — double-click creates
+                return;
+            }
+            if (this.flags[idx] & F_STAGED) mode = DRAG_MOVE; // cards have no duration edges
 
-            this.dragIdx = idx;
-            this.dragOffX = this.mouseX - this.xs[idx];
-            this.dragOffY = this.mouseY - this.ys[idx];
-            t.style.cursor = 'grabbing';
+            // Not a drag yet — mousemove promotes it past CLICK_SLOP, mouseup makes it a click
+            this.pressIdx = idx;
+            this.pressMode = mode;
+            this.pressX = this.mouseX;
+            this.pressY = this.mouseY;
+            this.pressEl = t;
             e.preventDefault();
         });
 
-        window.addEventListener('mouseup', () => {
+        this.container.addEventListener('dblclick', (e) => {
+            const t = e.target;
+            if (!t.classList || !t.classList.contains('proxy')) return;
+            const idx = parseInt(t.dataset.idx);
+            if (idx >= 0 && idx < this.count && this.flags[idx] & F_SERVICE) this.createFromService(this.ids[idx]);
+        });
+
+        this.container.addEventListener('keydown', (e) => this._onKey(e));
+        this.container.addEventListener('mouseenter', () => { this.pointerIn = true; });
+        this.container.addEventListener('mouseleave', () => { this.pointerIn = false; });
+
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const unit = e.deltaMode === 1 ? 16 : 1; // Firefox reports lines
+            if (this._inServices(this.mouseX, this.mouseY)) {
+                this._scrollServices(e.deltaY * unit);
+            } else if (e.ctrlKey) {
+                // Ctrl+wheel, and trackpad pinch (which browsers report as ctrl+wheel)
+                this.setZoom(this.camera.zoom * Math.exp(-e.deltaY * unit * CONFIG.WHEEL_ZOOM), this.mouseY);
+            } else if (e.shiftKey) {
+                this.scrollBy(e.deltaY * unit, 0);
+            } else {
+                this.scrollBy(e.deltaX * unit, e.deltaY * unit);
+            }
+        }, { passive: false });
+
+        window.addEventListener('mouseup', (e) => {
+            if (this.band) {
+                this.band = null;
+                this.dirty = true;
+                this._emit('select', this.getSelection());
+                return;
+            }
+            if (this.pressIdx >= 0) {
+                const id = this.ids[this.pressIdx];
+                this.pressIdx = -1;
+                this.focusId = id;
+                this.prevMX = -9999;
+                this.container.focus({ preventScroll: true });
+                if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                    this.select([id], true);
+                } else {
+                    this.select([id]);
+                    this._emit('open', id);
+                }
+                return;
+            }
+
             if (this.dragIdx < 0) return;
             const i = this.dragIdx;
+            const mode = this.dragMode;
 
-            // Snap Y to 15-min grid, relative to header offset
-            const relY = this.ys[i] - CONFIG.TOP_HEADER;
-            this.ys[i] = Math.round(relY / SNAP_Y) * SNAP_Y + CONFIG.TOP_HEADER;
+            const group = this.groupCount;
+            this.dragIdx = -1;
+            this.groupCount = 0;
+            let prevUser = null; // slot → assignee before the drop, team view only
+            if (mode === DRAG_MOVE && this._inStaging(this.mouseX, this.mouseY)) {
+                // Unschedule — but staging is for what's left to do: done tasks go back
+                const done = (j) => this.tasks[j].status === 'done';
+                let refused = done(i) ? 1 : 0;
+                this.starts[i] = refused ? this.dragFromStart : NaN;
+                for (let k = 0; k < group; k++) {
+                    const j = this.groupIdx[k];
+                    if (done(j)) refused++;
+                    this.starts[j] = done(j) ? this.groupFrom[k] : NaN;
+                }
+                if (refused) this._announce(refused + (refused > 1 ? ' done tasks stay' : ' done task stays') + ' on the calendar');
+            } else if (mode === DRAG_MOVE && this._inServices(this.mouseX, this.mouseY)) {
+                // Not a drop target: back where they came from
+                this.starts[i] = this.dragFromStart;
+                for (let k = 0; k < group; k++) this.starts[this.groupIdx[k]] = this.groupFrom[k];
+            } else {
+                if (this.flags[i] & F_STAGED) {
+                    // Card dropped on the calendar: screen → world before snapping
+                    this.xs[i] = this.camera.toWorldX(this.xs[i]);
+                    this.ys[i] = this.camera.toWorldY(this.ys[i]);
+                    this.hs[i] = this.durs[i] / 60 * CONFIG.HOUR_HEIGHT;
+                }
+                if (mode === DRAG_MOVE) this._snapMove(i);
+                else this._snapResize(i, mode);
 
-            // Snap X to day column
-            const col = Math.round((this.xs[i] - CONFIG.LEFT_GUTTER - 10) / CONFIG.DAY_WIDTH);
-            const clamped = Math.max(0, Math.min(col, CONFIG.DAYS - 1));
-            this.xs[i] = CONFIG.LEFT_GUTTER + clamped * CONFIG.DAY_WIDTH + 10;
+                // Pixels → time is the source of truth; re-place so both agree
+                this.starts[i] = this._worldToTime(this.xs[i], this.ys[i]);
+                if (mode !== DRAG_MOVE) this.durs[i] = this.hs[i] / CONFIG.HOUR_HEIGHT * 60;
 
-            this._rebuildIndex();
-            this.dirty = true;
-            this.dragIdx = -1;
+                // Members moved by the same delta; snapping each keeps on-grid offsets exact
+                for (let k = 0; k < group; k++) {
+                    const j = this.groupIdx[k];
+                    this._snapMove(j);
+                    this.starts[j] = this._worldToTime(this.xs[j], this.ys[j]);
+                }
+
+                if (mode === DRAG_MOVE && this.teamCols > 1) {
+                    prevUser = new Map([[i, this._assignByColumn(i)]]);
+                    for (let k = 0; k < group; k++) prevUser.set(this.groupIdx[k], this._assignByColumn(this.groupIdx[k]));
+                }
+            }
+            this._place(i);
+            for (let k = 0; k < group; k++) this._place(this.groupIdx[k]);
+
+            this.dragMode = 0;
             this.dragInputTime = 0;
             for (let p = 0; p < this.pool.length; p++) this.pool[p].style.cursor = 'grab';
+            this._storeChanged(true); // one reindex for the whole group, lanes and all
+
+            const changes = [];
+            const was = (j) => (prevUser ? prevUser.get(j) : this.tasks[j].assignee);
+            if (!sameTime(this.starts[i], this.dragFromStart) || this.durs[i] !== this.dragFromDur || was(i) !== this.tasks[i].assignee) {
+                changes.push(this._change(i, this.dragFromStart, this.dragFromDur, was(i)));
+            }
+            for (let k = 0; k < group; k++) {
+                const j = this.groupIdx[k];
+                if (!sameTime(this.starts[j], this.groupFrom[k]) || was(j) !== this.tasks[j].assignee) {
+                    changes.push(this._change(j, this.groupFrom[k], this.durs[j], was(j)));
+                }
+            }
+            if (changes.length) this._emit(mode === DRAG_MOVE ? 'move' : 'resize', changes);
         });
     }
 
+    /**
+     * Selection = what it was before the band, plus every calendar task the
+     * band touches. Hits come from the grid index in world px.
+     */
+    _bandSelect() {
+        const b = this.band;
+        const cam = this.camera;
+        const x0 = cam.toWorldX(Math.min(b.x0, b.x1));
+        const x1 = cam.toWorldX(Math.max(b.x0, b.x1));
+        const y0 = cam.toWorldY(Math.min(b.y0, b.y1));
+        const y1 = cam.toWorldY(Math.max(b.y0, b.y1));
+
+        let n = 0;
+        for (let i = 0; i < this.count; i++) {
+            this.flags[i] = (this.flags[i] & ~F_SELECTED) | this.bandBase[i];
+            if (this.bandBase[i]) n++;
+        }
+
+        this.currentFrame++;
+        const c0 = Math.max(0, (x0 / CONFIG.BUCKET_WIDTH) | 0);
+        const c1 = Math.min(CONFIG.MAX_BUCKETS - 1, (x1 / CONFIG.BUCKET_WIDTH) | 0);
+        const r1 = this._row(y1);
+        for (let r = this._row(y0); r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                for (let node = this.cellHead[r * CONFIG.MAX_BUCKETS + c]; node >= 0; node = this.nodeNext[node]) {
+                    const i = this.nodeEnt[node];
+                    if (this.frameStamp[i] === this.currentFrame) continue;
+                    this.frameStamp[i] = this.currentFrame;
+                    if (this.flags[i] & (F_STAGED | F_SELECTED | F_LOG)) continue;
+                    if (this.xs[i] > x1 || this.xs[i] + this.ws[i] < x0) continue;
+                    if (this.ys[i] > y1 || this.ys[i] + this.hs[i] < y0) continue;
+                    this.flags[i] |= F_SELECTED;
+                    n++;
+                }
+            }
+        }
+        this.selectedCount = n;
+        this.dirty = true;
+    }
+
+    _beginDrag() {
+        const idx = this.pressIdx;
+        const mode = this.pressMode;
+        this.pressIdx = -1;
+        if (this._refuseHeld(idx)) return;
+
+        // Offsets are in the entity's own space: screen for cards, world otherwise
+        const screen = this.flags[idx] & F_STAGED;
+        const px = screen ? this.pressX : this.camera.toWorldX(this.pressX);
+        const py = screen ? this.pressY : this.camera.toWorldY(this.pressY);
+
+        this.dragIdx = idx;
+        this.dragMode = mode;
+        // Offsets from the press point, so the slop travel doesn't make the entity jump
+        this.dragOffX = px - this.xs[idx];
+        // Resizes track the grabbed edge, moves track the grab point
+        this.dragOffY = py - (mode === DRAG_BOTTOM ? this.ys[idx] + this.hs[idx] : this.ys[idx]);
+        this.dragFromStart = this.starts[idx];
+        this.dragFromDur = this.durs[idx];
+        if (mode === DRAG_MOVE) this.pressEl.style.cursor = 'grabbing';
+
+        // Moving one of several selected calendar tasks moves them all
+        this.groupCount = 0;
+        if (mode !== DRAG_MOVE || screen || !(this.flags[idx] & F_SELECTED)) return;
+        for (let j = 0; j < this.count; j++) {
+            if (j === idx || !(this.flags[j] & F_SELECTED) || this.flags[j] & (F_HIDDEN | F_STAGED)) continue;
+            if (this.heldBy.has(this.ids[j])) continue; // someone else has it; it stays put
+            const k = this.groupCount++;
+            this.groupIdx[k] = j;
+            this.groupDX[k] = this.xs[j] - this.xs[idx];
+            this.groupDY[k] = this.ys[j] - this.ys[idx];
+            this.groupFrom[k] = this.starts[j];
+        }
+    }
+
+    /** Another user is dragging task i: say so instead of starting a move here. */
+    _refuseHeld(i) {
+        const user = this.heldBy.get(this.ids[i]);
+        if (user === undefined) return false;
+        this._announce(this.labels[i][0] + ' is being moved by ' + this.userName(user));
+        return true;
+    }
+
+    /** Live (unsnapped) geometry while dragging — index is not touched. */
+    _dragTo(i) {
+        const cam = this.camera;
+        const screen = this.flags[i] & F_STAGED;
+        const mx = screen ? this.mouseX : cam.toWorldX(this.mouseX);
+        const my = screen ? this.mouseY : cam.toWorldY(this.mouseY);
+        const y = my - this.dragOffY;
+        const minH = CONFIG.MIN_DURATION / 60 * CONFIG.HOUR_HEIGHT;
+
+        if (this.dragMode === DRAG_MOVE) {
+            // Preview the footprint of the zone under the cursor: card or time block.
+            // Heights convert between spaces: screen = world * zoom.
+            const card = this._inStaging(this.mouseX, this.mouseY);
+            const scale = screen ? cam.zoom : 1;
+            const w = card ? CONFIG.CARD_W : this.colW[this._colAt(cam.toWorldX(this.mouseX))] / this.teamCols - CONFIG.COL_PAD * 2;
+            const h = card
+                ? (screen ? CONFIG.CARD_H : CONFIG.CARD_H / cam.zoom)
+                : this.durs[i] / 60 * CONFIG.HOUR_HEIGHT * scale;
+            if (w !== this.ws[i] || h !== this.hs[i]) {
+                // Keep the grab point inside the resized rect
+                this.dragOffX = Math.min(this.dragOffX, w - 4);
+                this.dragOffY = Math.min(this.dragOffY, h * 0.5);
+                this.ws[i] = w;
+                this.hs[i] = h;
+            }
+            this.xs[i] = mx - this.dragOffX;
+            this.ys[i] = my - this.dragOffY;
+            for (let k = 0; k < this.groupCount; k++) {
+                const j = this.groupIdx[k];
+                this.xs[j] = this.xs[i] + this.groupDX[k];
+                this.ys[j] = this.ys[i] + this.groupDY[k];
+                this._reindex(j);
+            }
+        } else if (this.dragMode === DRAG_BOTTOM) {
+            this.hs[i] = Math.max(minH, y - this.ys[i]);
+        } else {
+            const bottom = this.ys[i] + this.hs[i];
+            const top = Math.min(y, bottom - minH);
+            this.ys[i] = top;
+            this.hs[i] = bottom - top;
+        }
+        // Keep the index live: the flashlight only scans the rows its radius reaches
+        this._reindex(i);
+    }
+
+    _snapMove(i) {
+        // Snap Y to 15-min grid, relative to header offset
+        const relY = this.ys[i] - CONFIG.TOP_HEADER;
+        const maxY = HOURS * CONFIG.HOUR_HEIGHT - this.hs[i];
+        this.ys[i] = Math.max(0, Math.min(Math.round(relY / SNAP_Y) * SNAP_Y, maxY)) + CONFIG.TOP_HEADER;
+
+        // Snap X to the day column (team view: user column) holding most of the rect
+        const mid = this.xs[i] + this.ws[i] * 0.5;
+        const col = this._colAt(mid);
+        this.xs[i] = this.colX[col] + this._teamColAt(col, mid) * this.colW[col] / this.teamCols + CONFIG.COL_PAD;
+    }
+
+    _snapResize(i, mode) {
+        // Snap both edges to the 15-min grid, then hold the minimum by moving the dragged one
+        const gridH = HOURS * CONFIG.HOUR_HEIGHT;
+        const minH = CONFIG.MIN_DURATION / 60 * CONFIG.HOUR_HEIGHT;
+        const snap = (v) => Math.max(0, Math.min(Math.round(v / SNAP_Y) * SNAP_Y, gridH));
+        let top = snap(this.ys[i] - CONFIG.TOP_HEADER);
+        let bottom = snap(this.ys[i] + this.hs[i] - CONFIG.TOP_HEADER);
+
+        if (bottom - top < minH) {
+            if (mode === DRAG_TOP) top = bottom - minH;
+            else bottom = top + minH;
+            if (top < 0) { top = 0; bottom = minH; }
+            if (bottom > gridH) { bottom = gridH; top = gridH - minH; }
+        }
+        this.ys[i] = top + CONFIG.TOP_HEADER;
+        this.hs[i] = bottom - top;
+    }
+
+    // ── Keyboard ────────────────────────────────────────────────────────
+
+    _slotOf(id) {
+        const i = this.indexById.get(id);
+        return i === undefined ? -1 : i;
+    }
+
+    /** Spoken name of a task: title, when, status, then its bullets. Or of a service row. */
+    _ariaLabel(i) {
+        const rec = this.tasks[i];
+        if (this.flags[i] & F_SERVICE) {
+            return ['Service ' + this.labels[i][0], rec.description, 'double-click to create a task'].filter(Boolean).join(', ');
+        }
+        let when = 'unscheduled';
+        if (!isNaN(this.starts[i])) {
+            const s = new Date(this.starts[i]);
+            const e = new Date(this.starts[i] + this.durs[i] * 60000);
+            when = DAY_LABELS[(s.getDay() + 6) % 7] + ' ' + hhmm(s) + ' to ' + hhmm(e);
+        }
+        return [this.labels[i][0], when, rec.status.replace('_', ' '), PRIORITIES[rec.priority] + ' priority']
+            .concat(this.labels[i].slice(1)).join(', ');
+    }
+
+    _announce(text) {
+        this.liveRegion.textContent = text;
+    }
+
+    _onKey(e) {
+        const pick = this.kbPick;
+        const picked = pick ? this._slotOf(pick.id) : -1;
+        if (pick && picked < 0) this.kbPick = null; // deleted under us (server push)
+
+        const arrows = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+        const dir = arrows[e.key];
+        if (dir) {
+            if (picked >= 0) this._kbMove(picked, dir[0], dir[1]);
+            else this._focus(this._navTarget(this._slotOf(this.focusId), dir[0], dir[1]));
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            if (picked >= 0) this._kbDrop(picked);
+            else if (e.key === ' ') this._kbPickUp();
+            else this._kbOpen();
+        } else if (e.key === 'Escape' && picked >= 0) {
+            this._kbCancel(picked);
+            e.stopPropagation(); // cancel the move, don't also close a panel
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    _focus(i) {
+        if (i < 0) return;
+        this.focusId = this.ids[i];
+        this.prevMX = -9999; // rehydrate: the focus takes a proxy
+        this._reveal(i);
+    }
+
+    /**
+     * Next task from slot `from` in direction (dx, dy). Up/down walk a day
+     * column by time (lanes left to right); left/right jump to the nearest
+     * time in the next day that has tasks. Staging is a last column, walked in
+     * card order. No focus yet: the first task in view.
+     */
+    _navTarget(from, dx, dy) {
+        const flags = this.flags;
+        const ys = this.ys;
+        const xs = this.xs;
+        const onGrid = (j) => !(flags[j] & (F_HIDDEN | F_STAGED | F_LOG));
+
+        if (from < 0) {
+            const top = this.camera.toWorldY(CONFIG.TOP_HEADER);
+            let best = -1;
+            for (let j = 0; j < this.count; j++) {
+                if (!onGrid(j) || ys[j] + this.hs[j] < top) continue;
+                if (best < 0 || xs[j] < xs[best] || (xs[j] === xs[best] && ys[j] < ys[best])) best = j;
+            }
+            return best >= 0 ? best : (this.stageCount ? this.stageOrder[0] : -1);
+        }
+
+        if (flags[from] & F_STAGED) {
+            let k = 0;
+            while (k < this.stageCount && this.stageOrder[k] !== from) k++;
+            if (dy) return k + dy >= 0 && k + dy < this.stageCount ? this.stageOrder[k + dy] : -1;
+            if (dx > 0) return -1;
+            // Back onto the grid: nearest time in the rightmost day with tasks
+            return this._nearestInCol(this.camera.toWorldY(ys[from]), CONFIG.DAYS, -1);
+        }
+
+        const col = this._colAt(xs[from]);
+        if (dx) {
+            const j = this._nearestInCol(ys[from], col, dx);
+            return j >= 0 || dx < 0 || !this.stageCount ? j : this.stageOrder[0];
+        }
+        let best = -1;
+        for (let j = 0; j < this.count; j++) {
+            if (j === from || !onGrid(j) || this._colAt(xs[j]) !== col) continue;
+            const after = ys[j] > ys[from] || (ys[j] === ys[from] && xs[j] > xs[from]);
+            if (after !== dy > 0) continue;
+            // Closest in walk order: smallest after, largest before
+            if (best < 0 || (ys[j] - ys[best] || xs[j] - xs[best]) * dy < 0) best = j;
+        }
+        return best;
+    }
+
+    /** Task nearest world y in the first column past `col` (direction dir) that has any. */
+    _nearestInCol(y, col, dir) {
+        for (let c = col + dir; c >= 0 && c < CONFIG.DAYS; c += dir) {
+            if (this.colW[c] === 0) continue;
+            let best = -1;
+            for (let j = 0; j < this.count; j++) {
+                if (this.flags[j] & (F_HIDDEN | F_STAGED | F_LOG) || this._colAt(this.xs[j]) !== c) continue;
+                if (best < 0 || Math.abs(this.ys[j] - y) < Math.abs(this.ys[best] - y)) best = j;
+            }
+            if (best >= 0) return best;
+        }
+        return -1;
+    }
+
+    /** Scroll a calendar task into view. */
+    _reveal(i) {
+        if (this.flags[i] & F_STAGED) return;
+        const cam = this.camera;
+        const sy = cam.toScreenY(this.ys[i]);
+        const sh = this.hs[i] * cam.zoom;
+        const sx = cam.toScreenX(this.xs[i]);
+        const viewR = this._calendarR() - CONFIG.STAGING_GAP;
+        let dx = 0;
+        let dy = 0;
+        if (sy < CONFIG.TOP_HEADER) dy = sy - CONFIG.TOP_HEADER - SNAP_Y;
+        else if (sy + sh > this.height) dy = Math.min(sy - CONFIG.TOP_HEADER, sy + sh - this.height + SNAP_Y);
+        if (sx < CONFIG.LEFT_GUTTER) dx = sx - CONFIG.LEFT_GUTTER - CONFIG.COL_PAD;
+        else if (sx + this.ws[i] > viewR) dx = sx + this.ws[i] - viewR + CONFIG.COL_PAD;
+        if (dx || dy) this.scrollBy(dx, dy);
+    }
+
+    _kbOpen() {
+        const i = this._slotOf(this.focusId);
+        if (i < 0) return;
+        this.select([this.ids[i]]);
+        this._emit('open', this.ids[i]);
+    }
+
+    _kbPickUp() {
+        const i = this._slotOf(this.focusId);
+        if (i < 0) return;
+        const title = this.labels[i][0];
+        if (this.flags[i] & F_STAGED) {
+            this._announce(title + ' is unscheduled. Drag it onto the calendar to schedule it.');
+            return;
+        }
+        if (this._refuseHeld(i)) return;
+        this.kbPick = { id: this.ids[i], fromStart: this.starts[i], fromDur: this.durs[i] };
+        this._announce('Picked up ' + title + '. Arrows move by 15 minutes or a day, Space drops, Escape cancels.');
+    }
+
+    /** Picked task: 15 minutes up/down, or to the next visible day left/right. */
+    _kbMove(i, dx, dy) {
+        this.ys[i] += dy * SNAP_Y;
+        if (dx) {
+            let c = this._colAt(this.xs[i]) + dx;
+            while (c >= 0 && c < CONFIG.DAYS && this.colW[c] === 0) c += dx;
+            if (c >= 0 && c < CONFIG.DAYS) this.xs[i] = this.colX[c] + CONFIG.COL_PAD;
+        }
+        this._snapMove(i);
+        this.starts[i] = this._worldToTime(this.xs[i], this.ys[i]);
+        this._place(i);
+        this._storeChanged(true);
+        this._reveal(i);
+        this._announce(this._ariaLabel(i));
+    }
+
+    _kbDrop(i) {
+        const pick = this.kbPick;
+        this.kbPick = null;
+        this._announce('Dropped ' + this._ariaLabel(i));
+        if (!sameTime(this.starts[i], pick.fromStart)) {
+            this._emit('move', [this._change(i, pick.fromStart, pick.fromDur)]);
+        }
+    }
+
+    _kbCancel(i) {
+        const pick = this.kbPick;
+        this.kbPick = null;
+        this.starts[i] = pick.fromStart;
+        this._place(i);
+        this._storeChanged(true);
+        this._reveal(i);
+        this._announce('Move cancelled. ' + this._ariaLabel(i));
+    }
+
     // ── Resize ──────────────────────────────────────────────────────────
 
     _resize() {
@@ -482,6 +4067,26 @@ class IroncladEngine {
         this.canvas.height = r.height * this.dpr;
         this.canvas.style.width = r.width + 'px';
         this.canvas.style.height = r.height + 'px';
+        this.gridLayer.width = this.canvas.width;
+        this.gridLayer.height = this.canvas.height;
+        this.gridDirty = true;
+        this.width = r.width;
+        this.height = r.height;
+
+        const st = this.staging;
+        st.x = CONFIG.LEFT_GUTTER + CONFIG.DAYS * CONFIG.DAY_WIDTH + CONFIG.STAGING_GAP;
+        st.y = CONFIG.TOP_HEADER;
+        st.w = Math.max(CONFIG.CARD_W, r.width - st.x - 8);
+        st.h = r.height - st.y - 8;
+        const sl = this.serviceList;
+        sl.w = CONFIG.SERVICE_W;
+        sl.x = st.x - CONFIG.STAGING_GAP - sl.w;
+        sl.y = CONFIG.TOP_HEADER + CONFIG.SEARCH_H;
+        sl.h = Math.max(0, r.height - sl.y - 8);
+        if (this.searchInput) this._placeSearch();
+        this._layoutServices();
+        this._layoutStaging(true);
+        this._setCamera(this.camera.x, this.camera.y, this.camera.zoom); // re-clamp
         this.dirty = true;
     }
 
@@ -493,11 +4098,21 @@ class IroncladEngine {
         this.container.appendChild(el);
 
         this._spans = {};
-        for (const k of ['fps', 'frame', 'entities', 'candidates', 'drag']) {
+        for (const k of ['fps', 'frame', 'paint', 'entities', 'candidates', 'layout', 'drag', 'bench', 'status']) {
             const s = document.createElement('div');
             el.appendChild(s);
             this._spans[k] = s;
         }
+
+        const btn = document.createElement('button');
+        btn.className = 'perf-bench';
+        btn.textContent = 'benchmark index';
+        btn.addEventListener('mousedown', (e) => e.stopPropagation());
+        btn.addEventListener('click', () => {
+            this.setBenchmark(!this.bench);
+            btn.textContent = this.bench ? 'stop benchmark' : 'benchmark index';
+        });
+        el.appendChild(btn);
     }
 
     _showStats() {
@@ -511,53 +4126,79 @@ class IroncladEngine {
         const s = this._spans;
         s.fps.textContent        = 'FPS: ' + this.stats.fps;
         s.frame.textContent      = 'Frame: ' + this.stats.frameTime + 'ms';
+        s.paint.textContent      = 'Paint: ' + this.stats.paint.toFixed(1) + 'ms · ' +
+            (this.stats.paintRects ? this.stats.paintRects + (this.stats.paintRects > 1 ? ' rects' : ' rect') : 'full');
         s.entities.textContent   = 'Entities: ' + this.count;
         s.candidates.textContent = 'Near cursor: ' + this.stats.candidates;
+        s.layout.textContent     = 'Lanes: ' + this.stats.layout.toFixed(1) + 'ms' + (this.worker
+            ? ' + ' + this.stats.layoutWorker.toFixed(1) + 'ms in worker (' + this.workerMode + ')'
+            : '');
         s.drag.textContent = this.dragIdx >= 0
             ? 'Drag: ' + this.stats.dragLatency.toFixed(1) + 'ms'
             : 'Drag: idle';
+        if (this.bench) {
+            const b = this.stats.bench;
+            s.bench.textContent = 'Query: grid ' + (b.grid * 1000).toFixed(0) + 'µs · buckets ' +
+                (b.buckets * 1000).toFixed(0) + 'µs + rebuild ' + b.rebuild.toFixed(2) + 'ms · ' +
+                (b.mismatches ? b.mismatches + ' mismatches' : 'match');
+        }
     }
 
     // ── Data generation ─────────────────────────────────────────────────
 
-    _generate(count) {
-        const gx = CONFIG.LEFT_GUTTER;
-        const gy = CONFIG.TOP_HEADER;
-        const dw = CONFIG.DAY_WIDTH;
-        const hh = CONFIG.HOUR_HEIGHT;
-        const pad = 10;
-
+    _generate(count, random = Math.random) {
+        if (!this.serviceById.size) {
+            this.setServices(DEMO_SERVICES.map((name, k) => ({
+                id: k + 1,
+                name,
+                code: 'SVC-' + (101 + k),
+                description: name + ' support and changes',
+                priority: k % PRIORITIES.length,
+                type: k % 3,
+                duration: 30 * (1 + k % 4),
+            })));
+        }
+        const services = this.getServices();
+        const dueFrom = random === Math.random ? Date.now() : SEED_EPOCH;
+        // Synthetic tasks through the same path as real data
+        const tasks = new Array(count);
         for (let i = 0; i < count; i++) {
-            const col = (Math.random() * CONFIG.DAYS) | 0;
-            const hour = Math.random() * (HOURS - 1);
-            const dur = 0.25 + Math.random() * 2.75; // 15min — 3h
-
-            this.ids[i]   = i;
-            this.xs[i]    = gx + col * dw + pad;
-            this.ys[i]    = gy + hour * hh;
-            this.ws[i]    = dw - pad * 2;
-            this.hs[i]    = dur * hh;
-            this.types[i] = (Math.random() * 3) | 0;
-
-            const verb = LABEL_VERBS[(Math.random() * LABEL_VERBS.length) | 0];
-            const noun = LABEL_NOUNS[(Math.random() * LABEL_NOUNS.length) | 0];
-            const reason = LABEL_REASONS[(Math.random() * LABEL_REASONS.length) | 0];
-            this.labels[i] = [
-                verb + ' ' + noun + ': ' + reason,
-                LABEL_BULLETS[(Math.random() * LABEL_BULLETS.length) | 0],
-                LABEL_BULLETS[(Math.random() * LABEL_BULLETS.length) | 0],
-                LABEL_BULLETS[(Math.random() * LABEL_BULLETS.length) | 0],
-                LABEL_BULLETS[(Math.random() * LABEL_BULLETS.length) | 0],
-            ];
-        }
-
-        this.count = count;
-        this._rebuildIndex();
-        this.dirty = true;
+            const col = (random() * CONFIG.DAYS) | 0;
+            const hour = CONFIG.START_HOUR + random() * (HOURS - 1);
+            const dur = 0.25 + random() * 2.75; // 15min — 3h
 
-        // Force flashlight refresh on next frame
-        this.prevMX = -9999;
-        // Hide stale proxies
-        for (let i = 0; i < this.pool.length; i++) this.pool[i].style.display = 'none';
+            const verb = LABEL_VERBS[(random() * LABEL_VERBS.length) | 0];
+            const noun = LABEL_NOUNS[(random() * LABEL_NOUNS.length) | 0];
+            const reason = LABEL_REASONS[(random() * LABEL_REASONS.length) | 0];
+            const staged = i < 12; // a handful of unscheduled tasks to fill staging
+            const user = (random() * (DEMO_USERS.length + 1)) | 0; // one in six unassigned
+            // A service each, now and then a second
+            const serviceIds = [];
+            if (services.length) {
+                const a = services[(random() * services.length) | 0].id;
+                const b = services[(random() * services.length) | 0].id;
+                serviceIds.push(a);
+                if (b !== a && random() < 0.3) serviceIds.push(b);
+            }
+            tasks[i] = {
+                id: i + 1,
+                type: (random() * 3) | 0,
+                title: verb + ' ' + noun + ': ' + reason,
+                bullets: [
+                    LABEL_BULLETS[(random() * LABEL_BULLETS.length) | 0],
+                    LABEL_BULLETS[(random() * LABEL_BULLETS.length) | 0],
+                    LABEL_BULLETS[(random() * LABEL_BULLETS.length) | 0],
+                    LABEL_BULLETS[(random() * LABEL_BULLETS.length) | 0],
+                ],
+                priority: (random() * PRIORITIES.length) | 0,
+                assignee: user < DEMO_USERS.length ? DEMO_USERS[user].id : null,
+                serviceIds,
+                start: staged ? null : dayStart(this.weekStart, col) + hour * 3600000,
+                duration: dur * 60,
+                due: staged ? dueFrom + random() * 7 * DAY_MS : null,
+            };
+        }
+        if (!this.users.length) this.setUsers(DEMO_USERS);
+        this.setTasks(tasks);
     }
 }
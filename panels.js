@@ -0,0 +1,155 @@
+/**
+ * IRONCLAD PANELS — Quake-style slide-in overlays.
+ *
+ * Panels live inside the engine container, pinned to an edge, and animate with
+ * transform only: no layout, no reflow, nothing that would make the container
+ * change size and trip the engine's _resize. Closed panels are visibility:hidden,
+ * so they cost nothing and can't take focus.
+ *
+ * Hotkeys are shared with the rest of the page through bind(), so one keydown
+ * listener decides what every key does.
+ */
+
+const PANEL_CONFIG = {
+    DURATION: 240, // ms — Yakuake speed, ~8 frames at the 32fps VDI cap
+    EDGES: ['left', 'right', 'top', 'bottom'],
+};
+
+/** 'Alt+S', 'Mod+Z' (Ctrl or ⌘), 'Shift+?', 'Escape' → matcher fields. */
+function parseHotkey(spec) {
+    const parts = spec.split('+');
+    const key = parts.pop().toLowerCase();
+    const mods = parts.map(p => p.toLowerCase());
+    return {
+        key: key === '' ? '+' : key,
+        alt: mods.includes('alt'),
+        mod: mods.includes('mod') || mods.includes('ctrl'),
+        shift: mods.includes('shift'),
+    };
+}
+
+function matchHotkey(hk, e) {
+    if (e.key.toLowerCase() !== hk.key) return false;
+    if (e.altKey !== hk.alt) return false;
+    if ((e.ctrlKey || e.metaKey) !== hk.mod) return false;
+    // Symbols like '?' need Shift to type at all; only letters care about it
+    if (hk.shift || /^[a-z]$/.test(hk.key)) return e.shiftKey === hk.shift;
+    return true;
+}
+
+function isTextInput(el) {
+    return el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' ||
+        el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+class PanelManager {
+    /** @param {HTMLElement} container — the engine container the panels overlay */
+    constructor(container) {
+        this.container = container;
+        this.panels = new Map();
+        this.openStack = []; // most recent last, for Escape
+        this.keys = [];      // { hk, spec, label, fn }
+
+        container.style.setProperty('--panel-duration', PANEL_CONFIG.DURATION + 'ms');
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.openStack.length) {
+                this.close(this.openStack[this.openStack.length - 1]);
+                e.preventDefault();
+                return;
+            }
+            if (isTextInput(e.target)) return;
+            for (let k = 0; k < this.keys.length; k++) {
+                if (matchHotkey(this.keys[k].hk, e)) {
+                    this.keys[k].fn(e);
+                    e.preventDefault();
+                    return;
+                }
+            }
+        });
+    }
+
+    // ── Public ──────────────────────────────────────────────────────────
+
+    /**
+     * @param {string} name
+     * @param {{ edge: 'left'|'right'|'top'|'bottom', size: number, title?: string,
+     *           hotkey?: string, onOpen?: Function, onClose?: Function }} opts
+     * @returns {{ el: HTMLElement, body: HTMLElement }}
+     */
+    register(name, opts) {
+        if (this.panels.has(name)) throw new Error(`Panel "${name}" already registered`);
+        if (!PANEL_CONFIG.EDGES.includes(opts.edge)) throw new Error(`Unknown panel edge "${opts.edge}"`);
+
+        const el = document.createElement('aside');
+        el.className = 'panel panel-' + opts.edge;
+        el.style[opts.edge === 'left' || opts.edge === 'right' ? 'width' : 'height'] = opts.size + 'px';
+
+        if (opts.title) {
+            const h = document.createElement('header');
+            h.className = 'panel-title';
+            h.textContent = opts.title + (opts.hotkey ? '  [' + opts.hotkey + ']' : '');
+            el.appendChild(h);
+        }
+        const body = document.createElement('div');
+        body.className = 'panel-body';
+        el.appendChild(body);
+
+        // The engine listens on the container; a panel is not the canvas
+        for (const t of ['mousedown', 'mousemove', 'wheel', 'dblclick']) {
+            el.addEventListener(t, (e) => e.stopPropagation());
+        }
+
+        this.container.appendChild(el);
+        const panel = { name, el, body, opts, open: false };
+        this.panels.set(name, panel);
+
+        if (opts.hotkey) this.bind(opts.hotkey, () => this.toggle(name), 'Toggle ' + (opts.title || name));
+        return panel;
+    }
+
+    /** Register a page-wide hotkey. Ignored while typing in a text field. */
+    bind(spec, fn, label) {
+        this.keys.push({ hk: parseHotkey(spec), spec, label: label || spec, fn });
+    }
+
+    open(name) {
+        const p = this._get(name);
+        if (p.open) return;
+        p.open = true;
+        p.el.classList.add('open');
+        this.openStack.push(name);
+        if (p.opts.onOpen) p.opts.onOpen(p);
+    }
+
+    close(name) {
+        const p = this._get(name);
+        if (!p.open) return;
+        p.open = false;
+        p.el.classList.remove('open');
+        this.openStack.splice(this.openStack.indexOf(name), 1);
+        // Don't leave focus inside something that is sliding away
+        if (p.el.contains(document.activeElement)) document.activeElement.blur();
+        if (p.opts.onClose) p.opts.onClose(p);
+    }
+
+    toggle(name) {
+        if (this._get(name).open) this.close(name);
+        else this.open(name);
+    }
+
+    isOpen(name) {
+        return this._get(name).open;
+    }
+
+    /** [spec, label] pairs for every bound key, in bind order. */
+    hotkeys() {
+        return this.keys.map(k => [k.spec, k.label]);
+    }
+
+    _get(name) {
+        const p = this.panels.get(name);
+        if (!p) throw new Error(`Unknown panel "${name}"`);
+        return p;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * IRONCLAD STORE — IndexedDB persistence for the entity store and the
+ * offline command queue.
+ *
+ * The engine's store is saved after every change (debounced) and restored on
+ * open, so a refresh — or a start with the server unreachable — shows the last
+ * known week instead of an empty grid. sync.js keeps its queued moves and
+ * resizes here too, so they survive a reload and replay on reconnect. The
+ * server's snapshot still replaces the store once it arrives.
+ *
+ * Every method degrades to a no-op when IndexedDB is unavailable (private
+ * windows, locked-down VDI profiles): the app runs as before, unpersisted.
+ */
+
+const STORE_CONFIG = {
+    DB: 'ironclad',
+    VERSION: 1,
+    SAVE_MS: 500, // debounce: a drop and the re-sort after it are one write
+};
+
+/** IDBRequest → Promise of its result. */
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+class IroncladStore {
+    /**
+     * @param {IroncladEngine} engine
+     * @param {{ name?: string, indexedDB?: IDBFactory }} [opts]
+     */
+    constructor(engine, opts = {}) {
+        this.engine = engine;
+        this.name = opts.name || STORE_CONFIG.DB;
+        this.idb = opts.indexedDB || window.indexedDB;
+        this.db = null;
+        this.saveTimer = 0;
+    }
+
+    // ── Public ──────────────────────────────────────────────────────────
+
+    /**
+     * Open the database, restore the saved store into the engine and start
+     * saving on change. Resolves to whether a saved store was restored;
+     * rejects if IndexedDB can't be opened (the store then stays a no-op).
+     */
+    async open() {
+        const req = this.idb.open(this.name, STORE_CONFIG.VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore('kv');
+        this.db = await idbRequest(req);
+
+        const saved = await this._get('store');
+        const restored = this.engine.restore(saved);
+        this.engine.on('store', () => this._schedule());
+        // A debounced save still waiting when the tab goes is the last drop
+        window.addEventListener('pagehide', () => this.flush());
+        return restored;
+    }
+
+    /** Write a pending save now. */
+    flush() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this._save();
+    }
+
+    /** Queued commands, as saveQueue() left them. */
+    async loadQueue() {
+        return (await this._get('queue')) || [];
+    }
+
+    saveQueue(queue) {
+        return this._put('queue', queue);
+    }
+
+    /** Forget everything saved (e.g. on logout). */
+    clear() {
+        if (!this.db) return Promise.resolve();
+        const tx = this.db.transaction('kv', 'readwrite');
+        return idbRequest(tx.objectStore('kv').clear());
+    }
+
+    // ── Internals ───────────────────────────────────────────────────────
+
+    _schedule() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this._save(), STORE_CONFIG.SAVE_MS);
+    }
+
+    _save() {
+        this.saveTimer = 0;
+        // put() clones synchronously, so the engine can keep changing after this
+        this._put('store', this.engine.serialize());
+    }
+
+    _get(key) {
+        if (!this.db) return Promise.resolve(undefined);
+        return idbRequest(this.db.transaction('kv').objectStore('kv').get(key));
+    }
+
+    _put(key, value) {
+        if (!this.db) return Promise.resolve();
+        const tx = this.db.transaction('kv', 'readwrite');
+        return idbRequest(tx.objectStore('kv').put(value, key))
+            .catch((err) => console.warn(`store: saving ${key} failed`, err));
+    }
+}
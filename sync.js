@@ -0,0 +1,483 @@
+/**
+ * IRONCLAD SYNC — WebSocket bridge between the engine and the txxt server.
+ *
+ * Moves are optimistic: the engine has already placed the task when we send
+ * the command. The server arbitrates (last write wins) and answers every
+ * command with `ack` or `rejected`; a rejection rolls the task back.
+ * See CONTEXT.md → "Server-Client Protocol" for the message shapes.
+ *
+ * Commands issued offline wait in an outbox until the next snapshot. Moves
+ * and resizes also go to IndexedDB (store.js) so a reload keeps them, and on
+ * reconnect each is checked against the server's copy before it's replayed.
+ *
+ * No dependencies. The WebSocket constructor is injectable so the client can
+ * run against a mock (see tools/mock-server.js).
+ */
+
+const SYNC_CONFIG = {
+    PATH: '/api/ws',
+    BACKOFF_MIN: 500,   // ms, first reconnect delay
+    BACKOFF_MAX: 30000, // ms, cap
+    JITTER: 0.2,        // ±20% so 20 clients don't reconnect in lockstep
+    PRESENCE_MS: 100,   // presence sent at most this often, and only on change
+    PRESENCE_KEEPALIVE: 2000, // resent unchanged so peers know a held drag is still held
+    PRESENCE_TTL: 6000, // a peer silent this long is gone (crashed mid-drag)
+    PARSE_OFF_THREAD: 65536, // chars; bigger messages (snapshots) parse in the engine's worker
+};
+
+// Engine field name → wire name, where they differ
+const WIRE_FIELDS = { serviceIds: 'service_ids', assignee: 'assigned_to' };
+
+function fieldsToWire(fields) {
+    const out = {};
+    for (const k in fields) out[WIRE_FIELDS[k] || k] = fields[k];
+    return out;
+}
+
+function fieldsFromWire(fields) {
+    const out = {};
+    for (const k in fields) {
+        const name = Object.keys(WIRE_FIELDS).find(e => WIRE_FIELDS[e] === k) || k;
+        out[name] = fields[k];
+    }
+    return out;
+}
+
+/** Wire task (snake_case, from txxt) → engine task shape. */
+function taskFromWire(t) {
+    return {
+        id: t.id,
+        title: t.title,
+        description: t.description,
+        status: t.status,
+        priority: t.priority,
+        type: t.type,
+        serviceIds: t.service_ids || t.serviceIds,
+        assignee: t.assigned_to,
+        bullets: t.bullets,
+        start: t.start,
+        duration: t.duration,
+        due: t.due_date,
+    };
+}
+
+/** Engine task (getTask shape) → wire task. */
+function taskToWire(t) {
+    return {
+        id: t.id,
+        title: t.title,
+        description: t.description,
+        bullets: t.bullets,
+        status: t.status,
+        priority: t.priority,
+        type: t.type,
+        service_ids: t.serviceIds,
+        assigned_to: t.assignee,
+        start: t.start,
+        duration: t.duration,
+        due_date: t.due,
+    };
+}
+
+/** Wire time entry → engine entry shape. */
+function entryFromWire(e) {
+    return { id: e.id, taskId: e.task_id, start: e.start, end: e.end };
+}
+
+function entryToWire(e) {
+    return { id: e.id, task_id: e.taskId, start: e.start, end: e.end };
+}
+
+/** Same { start, duration } — start null = unscheduled. */
+function sameSlot(a, b) {
+    return a.start === b.start && a.duration === b.duration;
+}
+
+class IroncladSync {
+    /**
+     * @param {IroncladEngine} engine
+     * @param {{ url?: string, WebSocket?: Function, store?: IroncladStore }} [opts]
+     */
+    constructor(engine, opts = {}) {
+        this.engine = engine;
+        this.url = opts.url || IroncladSync.defaultUrl();
+        this.WebSocket = opts.WebSocket || window.WebSocket;
+        this.store = opts.store || null;
+
+        this.ws = null;
+        this.state = 'offline'; // offline | connecting | online
+        this.synced = false;    // this connection's snapshot has arrived; commands go straight out
+        this.closed = false;    // set by close(): stop reconnecting
+        this.attempt = 0;
+        this.retryTimer = 0;
+
+        // seq → { cmd, apply, revert, base? } for unacknowledged commands.
+        // apply re-asserts the optimistic change over a snapshot; revert undoes it.
+        // Moves and resizes carry base, the task's { start, duration } before them.
+        this.seq = 0;
+        this.pending = new Map();
+        // Commands also carry cid, unique across clients and reloads: a command
+        // resent after a dropped connection is answered, not applied twice
+        this.clientId = Math.random().toString(36).slice(2, 10);
+        // Commands not yet sent, flushed in order after the next snapshot
+        this.outbox = [];
+        // Queued moves the server had overtaken at the last reconnect
+        this.conflicts = [];
+        // Messages waiting on a big one ahead of them to parse (_receiveLater), or null
+        this.inbox = null;
+
+        // Presence: our pointer/drag out on a timer (not per frame), peers' in
+        this.presenceTimer = 0;
+        this.sentPresence = '';   // JSON of the last presence sent
+        this.sentPresenceAt = 0;
+        this.peersSeen = new Map(); // userId → ms of their last presence
+
+        engine.on('move', (changes) => this._timeCommands('move_task', changes));
+        engine.on('resize', (changes) => this._timeCommands('resize_task', changes));
+        engine.on('update', (edits) => this._updateCommands(edits));
+        engine.on('create', (tasks) => this._createCommands(tasks));
+        engine.on('delete', (tasks) => this._deleteCommands(tasks));
+        engine.on('log', (logs) => this._logCommands(logs));
+    }
+
+    static defaultUrl() {
+        const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return proto + '//' + location.host + SYNC_CONFIG.PATH;
+    }
+
+    // ── Public ──────────────────────────────────────────────────────────
+
+    connect() {
+        this.closed = false;
+        this._open();
+        if (!this.presenceTimer) {
+            this.presenceTimer = setInterval(() => this._presenceTick(), SYNC_CONFIG.PRESENCE_MS);
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        clearInterval(this.presenceTimer);
+        this.presenceTimer = 0;
+        if (this.ws) this.ws.close();
+    }
+
+    /** Re-queue the moves and resizes a previous page left unsent. Call before connect(). */
+    async loadQueue() {
+        if (!this.store) return;
+        const queue = await this.store.loadQueue();
+        for (let k = 0; k < queue.length; k++) this._sendTime(queue[k].cmd, queue[k].base);
+        this._persistQueue();
+        this._status();
+    }
+
+    // ── Connection ──────────────────────────────────────────────────────
+
+    _open() {
+        this.state = 'connecting';
+        this._status();
+        const ws = new this.WebSocket(this.url);
+        this.ws = ws;
+
+        // The server opens with a snapshot; the outbox waits for it (_replay)
+        // so queued moves can be checked against the server's copy first
+        ws.onopen = () => {
+            this.state = 'online';
+            this.synced = false;
+            this.attempt = 0;
+            this._status();
+        };
+
+        ws.onmessage = (e) => {
+            if (this.inbox || e.data.length > SYNC_CONFIG.PARSE_OFF_THREAD) {
+                this._receiveLater(ws, e.data);
+                return;
+            }
+            let msg;
+            try {
+                msg = JSON.parse(e.data);
+            } catch (err) {
+                console.warn('sync: dropping malformed message', err);
+                return;
+            }
+            try {
+                this._receive(msg);
+            } catch (err) {
+                console.error('sync:', err); // one bad message mustn't take the socket's handler down
+            }
+        };
+
+        // onerror is always followed by onclose; reconnect from one place
+        ws.onclose = () => {
+            if (this.ws !== ws) return;
+            this.ws = null;
+            this.state = 'offline';
+            this.synced = false;
+            this.sentPresence = ''; // peers forget us; say it again next time
+            for (const user of this.peersSeen.keys()) this.engine.clearPresence(user);
+            this.peersSeen.clear();
+            this._status();
+            if (!this.closed) this._scheduleReconnect();
+        };
+    }
+
+    /** Parse off the main thread; whatever arrives meanwhile queues behind it, so order holds. */
+    _receiveLater(ws, text) {
+        const parsed = this.engine.decode(text);
+        const inbox = (this.inbox || Promise.resolve())
+            .then(() => parsed)
+            .then((msg) => {
+                if (this.ws === ws) this._receive(msg); // not a connection that has since closed
+            }, (err) => console.warn('sync: dropping malformed message', err))
+            .catch((err) => console.error('sync:', err)) // a throwing handler mustn't jam the queue
+            .then(() => {
+                if (this.inbox === inbox) this.inbox = null;
+            });
+        this.inbox = inbox;
+    }
+
+    _scheduleReconnect() {
+        const base = Math.min(SYNC_CONFIG.BACKOFF_MAX, SYNC_CONFIG.BACKOFF_MIN * 2 ** this.attempt);
+        const jitter = 1 + (Math.random() * 2 - 1) * SYNC_CONFIG.JITTER;
+        this.attempt++;
+        this.retryTimer = setTimeout(() => this._open(), base * jitter);
+    }
+
+    // ── Outgoing ────────────────────────────────────────────────────────
+
+    _timeCommands(type, changes) {
+        const reassigned = [];
+        for (let k = 0; k < changes.length; k++) {
+            const c = changes[k];
+            this._sendTime(
+                { type, id: c.id, start: isNaN(c.start) ? null : c.start, duration: c.duration },
+                { start: isNaN(c.prevStart) ? null : c.prevStart, duration: c.prevDuration });
+            // A team-view drop into another user's column: the assignee is a field, not a time
+            if ('assignee' in c) reassigned.push({ id: c.id, fields: { assignee: c.assignee }, prev: { assignee: c.prevAssignee } });
+        }
+        this._persistQueue();
+        if (reassigned.length) this._updateCommands(reassigned);
+    }
+
+    _sendTime(cmd, base) {
+        const engine = this.engine;
+        this._send(cmd,
+            () => engine.setTaskTime(cmd.id, cmd.start, cmd.duration),
+            () => engine.setTaskTime(cmd.id, base.start, base.duration),
+            base);
+    }
+
+    _updateCommands(edits) {
+        const engine = this.engine;
+        for (let k = 0; k < edits.length; k++) {
+            const u = edits[k];
+            this._send({ type: 'update_task', id: u.id, fields: fieldsToWire(u.fields) },
+                () => engine.patchTask(u.id, u.fields),
+                () => engine.patchTask(u.id, u.prev));
+        }
+    }
+
+    _createCommands(tasks) {
+        const engine = this.engine;
+        for (let k = 0; k < tasks.length; k++) {
+            const t = tasks[k];
+            this._send({ type: 'create_task', task: taskToWire(t) },
+                () => engine.upsertTask(t),
+                () => engine.removeTask(t.id));
+        }
+    }
+
+    _deleteCommands(tasks) {
+        const engine = this.engine;
+        for (let k = 0; k < tasks.length; k++) {
+            const t = tasks[k];
+            this._send({ type: 'delete_task', id: t.id },
+                () => engine.removeTask(t.id),
+                () => engine.upsertTask(t));
+        }
+    }
+
+    _logCommands(logs) {
+        const engine = this.engine;
+        for (let k = 0; k < logs.length; k++) {
+            const l = logs[k];
+            this._send({ type: 'log_time', entry: entryToWire(l.entry) },
+                () => engine.upsertEntry(l.entry),
+                () => (l.prev ? engine.upsertEntry(l.prev) : engine.removeEntry(l.entry.id)));
+        }
+    }
+
+    _send(cmd, apply, revert, base) {
+        cmd.seq = ++this.seq;
+        if (!cmd.cid) cmd.cid = this.clientId + '-' + cmd.seq; // a reloaded queue keeps its own
+        this.pending.set(cmd.seq, { cmd, apply, revert, base });
+        if (this.synced) this.ws.send(JSON.stringify(cmd));
+        else this.outbox.push(cmd);
+        this._status();
+    }
+
+    _flush() {
+        const queued = this.outbox;
+        this.outbox = [];
+        for (let k = 0; k < queued.length; k++) this.ws.send(JSON.stringify(queued[k]));
+    }
+
+    /** Keep queued moves/resizes in IndexedDB, so a reload doesn't lose them. */
+    _persistQueue() {
+        if (!this.store) return;
+        const queue = [];
+        for (const p of this.pending.values()) if (p.base) queue.push({ cmd: p.cmd, base: p.base });
+        this.store.saveQueue(queue);
+    }
+
+    /**
+     * After a snapshot: re-assert what the server hasn't ruled on, then
+     * (re)send all of it — a command sent on a connection that dropped may or
+     * may not have arrived, and the server answers a cid it has seen with its
+     * first answer. A queued move is checked against the server's copy of its
+     * task (or the queued moves before it): still at its base, it's replayed;
+     * already at its target, it's done. Anything else is a conflict: the server's version is
+     * newer, so it stands and the move is dropped.
+     */
+    _replay() {
+        const engine = this.engine;
+        const expect = new Map(); // id → { start, duration } once the moves kept so far land
+        this.outbox = [];
+        this.conflicts = [];
+        for (const [seq, p] of this.pending) {
+            if (!p.base) {
+                p.apply();
+                this.outbox.push(p.cmd);
+                continue;
+            }
+            const id = p.cmd.id;
+            let server = expect.get(id);
+            if (!server) {
+                const t = engine.getTask(id);
+                server = t && { start: t.start, duration: t.duration };
+            }
+            if (server && sameSlot(server, p.cmd)) {
+                this.pending.delete(seq);
+            } else if (server && sameSlot(server, p.base)) {
+                p.apply();
+                expect.set(id, { start: p.cmd.start, duration: p.cmd.duration });
+                this.outbox.push(p.cmd);
+            } else {
+                this.pending.delete(seq);
+                this.conflicts.push({ id, mine: { start: p.cmd.start, duration: p.cmd.duration }, server });
+                console.warn(`sync: ${p.cmd.type} #${id} dropped: ${server ? 'changed' : 'deleted'} on the server meanwhile`);
+            }
+        }
+        this.synced = true;
+        this._flush();
+        this._persistQueue();
+    }
+
+    /**
+     * Send our presence if it changed (or is held and due a keepalive), and
+     * drop peers gone silent. Presence is fire-and-forget: no seq, no ack.
+     */
+    _presenceTick() {
+        const now = Date.now();
+        for (const [user, at] of this.peersSeen) {
+            if (now - at < SYNC_CONFIG.PRESENCE_TTL) continue;
+            this.peersSeen.delete(user);
+            this.engine.clearPresence(user);
+        }
+        if (!this.synced) return;
+
+        const p = this.engine.getPresence();
+        const json = JSON.stringify(p);
+        const idle = !p.cursor && !p.drag;
+        if (json === this.sentPresence &&
+            (idle || now - this.sentPresenceAt < SYNC_CONFIG.PRESENCE_KEEPALIVE)) return;
+        this.sentPresence = json;
+        this.sentPresenceAt = now;
+        this.ws.send(JSON.stringify({ type: 'presence', cursor: p.cursor, drag: p.drag }));
+    }
+
+    /** Connection state, commands awaiting the server and conflicts, in the stats overlay. */
+    _status() {
+        const parts = ['Sync: ' + this.state];
+        if (this.pending.size) parts.push(this.pending.size + ' pending');
+        const c = this.conflicts.length;
+        if (c) parts.push(c + (c > 1 ? ' conflicts' : ' conflict'));
+        this.engine.setStatus(parts.join(' · '));
+    }
+
+    // ── Incoming ────────────────────────────────────────────────────────
+
+    _receive(msg) {
+        const engine = this.engine;
+        switch (msg.type) {
+            case 'snapshot':
+                if (msg.you !== undefined) engine.setIdBlock(msg.you);
+                if (msg.users) engine.setUsers(msg.users);
+                if (msg.services) engine.setServices(msg.services); // before tasks, whose labels name them
+                engine.setTasks(msg.tasks.map(taskFromWire));
+                engine.setEntries((msg.entries || []).map(entryFromWire));
+                // Unacknowledged local changes still stand until the server rules on them
+                this._replay();
+                this._status();
+                break;
+
+            case 'task_moved':
+                engine.setTaskTime(msg.id, msg.start, msg.duration);
+                break;
+
+            case 'task_updated':
+                engine.patchTask(msg.id, fieldsFromWire(msg.fields));
+                break;
+
+            case 'task_created':
+                engine.upsertTask(taskFromWire(msg.task));
+                break;
+
+            case 'task_deleted':
+                engine.removeTask(msg.id);
+                break;
+
+            case 'time_logged':
+                engine.upsertEntry(entryFromWire(msg.entry));
+                break;
+
+            case 'presence':
+                this.peersSeen.set(msg.userId, Date.now());
+                engine.setPresence(msg.userId, msg);
+                break;
+
+            case 'presence_left':
+                this.peersSeen.delete(msg.userId);
+                engine.clearPresence(msg.userId);
+                break;
+
+            case 'ack': {
+                const p = this.pending.get(msg.seq);
+                if (!p) break;
+                this.pending.delete(msg.seq);
+                if (p.base) this._persistQueue();
+                this._status();
+                break;
+            }
+
+            case 'rejected': {
+                const p = this.pending.get(msg.seq);
+                if (!p) break;
+                this.pending.delete(msg.seq);
+                // Prefer the server's copy; fall back to the state before the change
+                if (msg.task) engine.upsertTask(taskFromWire(msg.task));
+                else if (msg.entry) engine.upsertEntry(entryFromWire(msg.entry));
+                else p.revert();
+                const id = p.cmd.id !== undefined ? p.cmd.id : (p.cmd.task || p.cmd.entry).id;
+                console.warn(`sync: ${p.cmd.type} #${id} rejected: ${msg.reason || 'no reason'}`);
+                if (p.base) this._persistQueue();
+                this._status();
+                break;
+            }
+
+            default:
+                console.warn('sync: unknown message type', msg.type);
+        }
+    }
+}
@@ -0,0 +1,336 @@
+/**
+ * IRONCLAD TELEMETRY — performance recorder and scripted benchmark replay.
+ *
+ * The recorder samples the engine on every 'frame' event: the newest
+ * frameTimes slot, the flashlight's candidate count, and drag latency
+ * whenever a drag handled new input. A session summarizes them as
+ * percentiles (p50/p95/p99), long frames and candidate counts, exported as
+ * JSON.
+ *
+ * The replay reproduces the README's VDI table the same way on every
+ * machine. For each scenario (entity count, flashlight radius) it loads
+ * seeded synthetic tasks, then records a hover sweep and a series of drags.
+ * The input goes through the real path: synthetic mouse events on the
+ * container, presses on hydrated proxies. Input is dispatched at the top of
+ * a frame, so the drag latency is the engine's own cost without the wait
+ * for the next frame that a real pointer adds. It runs on a scratch store:
+ * the engine is muted meanwhile, so its drags leave no undo steps, commands
+ * or saves, and the store it found is put back after. Server pushes that
+ * land meanwhile go with the scratch store, so still run it without ?sync.
+ *
+ * No dependencies.
+ */
+
+const TELEMETRY_CONFIG = {
+    LONG_FRAME_MS: 50,   // a long frame, as the Long Tasks API counts them
+    MAX_SAMPLES: 36000,  // per series, ~10 min at 60fps; older samples are overwritten
+    SEED: 1,
+    // Replay, per scenario
+    WARMUP_FRAMES: 30,   // after loading, before recording: layout, first paint
+    SWEEP_FRAMES: 300,   // hover sweep (or idle) recorded
+    SWEEP_SPEED: 12,     // px per frame between waypoints
+    DRAGS: 5,
+    DRAG_FRAMES: 40,     // mousemoves per drag, one a frame
+};
+
+// The README's CloudPC validation table, as replay scenarios
+const REPLAY_SCENARIOS = [
+    { name: 'Idle', entities: 500, radius: 150, idle: true },
+    { name: '500 entities, 150px radius', entities: 500, radius: 150 },
+    { name: '2000 entities, 150px radius', entities: 2000, radius: 150 },
+    { name: '5000 entities, 150px radius', entities: 5000, radius: 150 },
+    { name: '5000 entities, 500px radius', entities: 5000, radius: 500 },
+];
+
+/** Seeded PRNG (mulberry32): a () → [0, 1) like Math.random, the same sequence per seed. */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Nearest-rank percentile of an ascending-sorted array. */
+function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+function round1(v) {
+    return Math.round(v * 10) / 10;
+}
+
+class IroncladTelemetry {
+    /** @param {IroncladEngine} engine */
+    constructor(engine) {
+        this.engine = engine;
+        this.sessions = []; // finished session summaries, oldest first
+        this.recording = false;
+        this.label = '';
+        this.script = null; // running replay (a generator, stepped once a frame)
+
+        // Session samples — rings, so a long session keeps its recent past
+        const n = TELEMETRY_CONFIG.MAX_SAMPLES;
+        this.frameMs = new Float32Array(n);
+        this.candidates = new Uint16Array(n);
+        this.latency = new Float32Array(n);
+        this.frameCount = 0;
+        this.latencyCount = 0;
+        this.totalMs = 0;
+        this.longFrames = 0;
+        this.lastInput = 0; // engine.dragInputTime last sampled
+
+        engine.on('frame', () => this._frame());
+    }
+
+    /** Start a session (ending one already recording). */
+    start(label = 'session') {
+        if (this.recording) this.stop();
+        this.recording = true;
+        this.label = label;
+        this.frameCount = 0;
+        this.latencyCount = 0;
+        this.totalMs = 0;
+        this.longFrames = 0;
+        this.lastInput = this.engine.dragInputTime;
+    }
+
+    /** End the session; returns its summary (also kept in sessions), or null if none was recording. */
+    stop() {
+        if (!this.recording) return null;
+        this.recording = false;
+        const s = this.summary();
+        this.sessions.push(s);
+        return s;
+    }
+
+    /** The recording session so far, summarized. */
+    summary() {
+        const e = this.engine;
+        const n = Math.min(this.frameCount, TELEMETRY_CONFIG.MAX_SAMPLES);
+        const frames = this.frameMs.slice(0, n).sort();
+        const cands = this.candidates.slice(0, n).sort();
+        const lat = this.latency.slice(0, Math.min(this.latencyCount, TELEMETRY_CONFIG.MAX_SAMPLES)).sort();
+        let candSum = 0;
+        for (let k = 0; k < n; k++) candSum += cands[k];
+        return {
+            label: this.label,
+            entities: e.indexById.size, // tasks; entries and services aren't counted
+            radius: CONFIG.FLASHLIGHT_RADIUS,
+            frames: this.frameCount,
+            seconds: round1(this.totalMs / 1000),
+            fps: this.totalMs ? round1(this.frameCount / this.totalMs * 1000) : 0,
+            frameTime: {
+                mean: this.frameCount ? round1(this.totalMs / this.frameCount) : 0,
+                p50: round1(percentile(frames, 50)),
+                p95: round1(percentile(frames, 95)),
+                p99: round1(percentile(frames, 99)),
+                max: round1(n ? frames[n - 1] : 0),
+            },
+            longFrames: { over: TELEMETRY_CONFIG.LONG_FRAME_MS, count: this.longFrames },
+            candidates: {
+                mean: n ? round1(candSum / n) : 0,
+                p50: percentile(cands, 50),
+                p95: percentile(cands, 95),
+                max: n ? cands[n - 1] : 0,
+            },
+            // Only frames that handled new drag input
+            dragLatency: {
+                samples: this.latencyCount,
+                p50: round1(percentile(lat, 50)),
+                p95: round1(percentile(lat, 95)),
+                p99: round1(percentile(lat, 99)),
+                max: round1(lat.length ? lat[lat.length - 1] : 0),
+            },
+        };
+    }
+
+    /**
+     * Finished sessions as a JSON report, with what the numbers depend on:
+     * browser, device pixel ratio, viewport.
+     */
+    exportJSON() {
+        return JSON.stringify(this._report(this.sessions), null, 2);
+    }
+
+    /**
+     * Run the scripted benchmark: each scenario loads `entities` seeded
+     * synthetic tasks at a flashlight `radius`, settles, then records a hover
+     * sweep (or, with `idle`, no input) and DRAGS drags. Resolves with the
+     * report, as exportJSON has it; its sessions are also kept. The store and
+     * the radius are restored.
+     * @param {{ scenarios?: { name: string, entities: number, radius: number, idle?: boolean }[], seed?: number }} [opts]
+     * @returns {Promise<object>}
+     */
+    replay({ scenarios = REPLAY_SCENARIOS, seed = TELEMETRY_CONFIG.SEED } = {}) {
+        if (this.script) return Promise.reject(new Error('A replay is already running'));
+        if (this.recording) this.stop();
+        return new Promise((resolve) => {
+            this.script = this._replay(scenarios, seed, resolve);
+        });
+    }
+
+    // ── Sampling ────────────────────────────────────────────────────────
+
+    /** Top of a frame: sample the one just ended, then let the replay queue its input. */
+    _frame() {
+        if (this.recording) this._sample();
+        if (this.script && this.script.next().done) this.script = null;
+    }
+
+    _sample() {
+        const e = this.engine;
+        const dt = e.frameTimes[(e.ftHead + 59) % 60];
+        const k = this.frameCount++ % TELEMETRY_CONFIG.MAX_SAMPLES;
+        this.frameMs[k] = dt;
+        this.candidates[k] = Math.min(e.stats.candidates, 65535);
+        this.totalMs += dt;
+        if (dt > TELEMETRY_CONFIG.LONG_FRAME_MS) this.longFrames++;
+        // dragInputTime moves on every drag mousemove, and is 0 once dropped
+        if (e.dragIdx >= 0 && e.dragInputTime > 0 && e.dragInputTime !== this.lastInput) {
+            this.latency[this.latencyCount++ % TELEMETRY_CONFIG.MAX_SAMPLES] = e.stats.dragLatency;
+        }
+        this.lastInput = e.dragInputTime;
+    }
+
+    _report(sessions, extra) {
+        const e = this.engine;
+        return Object.assign({
+            version: 1,
+            date: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            dpr: e.dpr,
+            viewport: [e.width, e.height],
+            worker: e.workerMode, // where lane layout ran: shared / transfer / inline
+        }, extra, { sessions });
+    }
+
+    // ── Replay ──────────────────────────────────────────────────────────
+    // Generators: each yield waits one frame.
+
+    *_replay(scenarios, seed, done) {
+        const e = this.engine;
+        const radius = CONFIG.FLASHLIGHT_RADIUS;
+        const saved = e.serialize();
+        const muted = e.muted;
+        e.muted = true;
+        const results = [];
+        for (let k = 0; k < scenarios.length; k++) {
+            // A seed per scenario, so one can be rerun alone and match
+            results.push(yield* this._scenario(scenarios[k], seededRandom(seed + k)));
+        }
+        e.setFlashlightRadius(radius);
+        e.restore(saved);
+        e.muted = muted;
+        done(this._report(results, { seed }));
+    }
+
+    *_scenario(sc, random) {
+        const e = this.engine;
+        // Same view every run: week, no side panels, zoom 1, scrolled to the working day
+        e.setTeam(false);
+        e.setView('week');
+        e.toggleServices(false);
+        e.setZoom(1);
+        e.scrollBy(-e.camera.x, 0);
+        e.scrollToHour(CONFIG.SCROLL_TO_HOUR);
+        e.setEntityCount(sc.entities, random);
+        e.setFlashlightRadius(sc.radius);
+        for (let f = 0; f < TELEMETRY_CONFIG.WARMUP_FRAMES; f++) yield;
+
+        this.start(sc.name);
+        if (sc.idle) {
+            for (let f = 0; f < TELEMETRY_CONFIG.SWEEP_FRAMES; f++) yield;
+        } else {
+            yield* this._sweep(random);
+            for (let d = 0; d < TELEMETRY_CONFIG.DRAGS; d++) yield* this._drag(random);
+        }
+        return this.stop();
+    }
+
+    /** Hover: the pointer travels between random waypoints over the calendar. */
+    *_sweep(random) {
+        let [x, y] = this._randomPoint(random);
+        let [tx, ty] = this._randomPoint(random);
+        for (let f = 0; f < TELEMETRY_CONFIG.SWEEP_FRAMES; f++) {
+            const dx = tx - x;
+            const dy = ty - y;
+            const d = Math.hypot(dx, dy);
+            if (d <= TELEMETRY_CONFIG.SWEEP_SPEED) {
+                x = tx;
+                y = ty;
+                [tx, ty] = this._randomPoint(random);
+            } else {
+                x += dx / d * TELEMETRY_CONFIG.SWEEP_SPEED;
+                y += dy / d * TELEMETRY_CONFIG.SWEEP_SPEED;
+            }
+            this._pointer('mousemove', this.engine.container, x, y);
+            yield;
+        }
+    }
+
+    /**
+     * One drag: point somewhere, let the flashlight hydrate, press the
+     * nearest calendar task's proxy, move it a frame at a time and drop it.
+     * Gives up quietly when there's nothing to grab after a few tries.
+     */
+    *_drag(random) {
+        const e = this.engine;
+        let proxy = null;
+        let x = 0;
+        let y = 0;
+        for (let tries = 0; !proxy && tries < 10; tries++) {
+            [x, y] = this._randomPoint(random);
+            this._pointer('mousemove', e.container, x, y);
+            yield;
+            const p = e.pool[0]; // the nearest candidate
+            const i = p.style.display === 'block' ? parseInt(p.dataset.idx) : -1;
+            if (i >= 0 && !(e.flags[i] & (F_HIDDEN | F_STAGED | F_LOG))) proxy = p;
+        }
+        if (!proxy) return;
+
+        this._pointer('mousedown', proxy, x, y);
+        // Far enough to pass CLICK_SLOP on the first move; the drop stays on the calendar
+        const sign = () => (random() < 0.5 ? -1 : 1);
+        const [tx, ty] = this._clampPoint(x + sign() * (60 + random() * 300), y + sign() * (40 + random() * 200));
+        const n = TELEMETRY_CONFIG.DRAG_FRAMES;
+        for (let f = 1; f <= n; f++) {
+            this._pointer('mousemove', e.container, x + (tx - x) * f / n, y + (ty - y) * f / n);
+            yield;
+        }
+        this._pointer('mouseup', window, tx, ty);
+        yield;
+    }
+
+    /** Somewhere on the visible calendar, container px. */
+    _randomPoint(random) {
+        const e = this.engine;
+        return this._clampPoint(
+            CONFIG.LEFT_GUTTER + random() * (e.gridR - CONFIG.LEFT_GUTTER),
+            CONFIG.TOP_HEADER + random() * (e.height - CONFIG.TOP_HEADER));
+    }
+
+    _clampPoint(x, y) {
+        const e = this.engine;
+        const pad = 10;
+        return [
+            Math.max(CONFIG.LEFT_GUTTER + pad, Math.min(x, e.gridR - pad)),
+            Math.max(CONFIG.TOP_HEADER + pad, Math.min(y, e.height - pad)),
+        ];
+    }
+
+    /** A mouse event at container px (x, y), as the browser would deliver it. */
+    _pointer(type, target, x, y) {
+        const r = this.engine.container.getBoundingClientRect();
+        target.dispatchEvent(new MouseEvent(type, {
+            clientX: r.left + x,
+            clientY: r.top + y,
+            button: 0,
+            bubbles: true,
+            cancelable: true,
+        }));
+    }
+}
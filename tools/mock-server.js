@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * IRONCLAD mock server — static files + a stand-in for txxt's /api/ws.
+ *
+ * Node builtins only (no ws package — no deps, ever). Speaks just enough of
+ * RFC 6455 for one-frame text messages, which is all the sync protocol uses.
+ *
+ *   node tools/mock-server.js [--port=8080] [--tasks=200] [--reject=0.1] [--bots=3]
+ *
+ * Then open http://localhost:8080/?sync
+ *
+ * --reject is the fraction of commands answered with `rejected`,
+ * to exercise client rollback. --bots adds simulated users who wander a
+ * pointer over the week and now and then drag a task, to watch presence.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const args = Object.fromEntries(process.argv.slice(2).map(a => {
+    const [k, v] = a.replace(/^--/, '').split('=');
+    return [k, v === undefined ? true : v];
+}));
+const PORT = +args.port || 8080;
+const TASKS = +args.tasks || 200;
+const REJECT = +args.reject || 0;
+const BOTS = +args.bots || 0;
+const BOT_MS = 100; // bots send presence at the client's rate
+
+const ROOT = path.resolve(__dirname, '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+};
+
+// ─── Data ───────────────────────────────────────────────────────────────────
+
+function startOfWeek(t) {
+    const d = new Date(t);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d.getTime();
+}
+
+// The team tasks are assigned to, sent with the snapshot. Bots take the first ids.
+const users = ['Ana', 'Bram', 'Chen', 'Dana'].map((name, k) => ({ id: k + 1, name }));
+
+// The service registry, likewise; each task references one or two
+const services = ['Payroll', 'HR portal', 'Intranet', 'Email', 'VPN', 'Service desk', 'Backups', 'CRM']
+    .map((name, k) => ({ id: k + 1, name, code: 'SVC-' + (101 + k), description: name + ' support', duration: 60 }));
+function someServices() {
+    const a = 1 + ((Math.random() * services.length) | 0);
+    const b = 1 + ((Math.random() * services.length) | 0);
+    return b !== a && Math.random() < 0.3 ? [a, b] : [a];
+}
+
+const tasks = new Map();
+const week = startOfWeek(Date.now());
+for (let id = 1; id <= TASKS; id++) {
+    const day = new Date(week);
+    day.setDate(day.getDate() + ((Math.random() * 5) | 0));
+    day.setHours(8 + ((Math.random() * 9) | 0), ((Math.random() * 4) | 0) * 15);
+    tasks.set(id, {
+        id,
+        title: `Mock task ${id}`,
+        description: '- served by tools/mock-server.js',
+        status: 'todo',
+        priority: ['low', 'medium', 'high', 'urgent'][(Math.random() * 4) | 0],
+        type: (Math.random() * 3) | 0,
+        service_ids: someServices(),
+        assigned_to: 1 + ((Math.random() * users.length) | 0),
+        start: id <= 10 ? null : day.getTime(), // first few unscheduled → staging
+        duration: 15 * (1 + ((Math.random() * 8) | 0)),
+        due_date: Date.now() + Math.random() * 7 * 86400000,
+    });
+}
+
+const entries = new Map(); // time entries by id
+
+// ─── WebSocket framing ──────────────────────────────────────────────────────
+
+function encodeFrame(str) {
+    const payload = Buffer.from(str);
+    const n = payload.length;
+    let head;
+    if (n < 126) {
+        head = Buffer.from([0x81, n]);
+    } else if (n < 65536) {
+        head = Buffer.alloc(4);
+        head[0] = 0x81; head[1] = 126;
+        head.writeUInt16BE(n, 2);
+    } else {
+        head = Buffer.alloc(10);
+        head[0] = 0x81; head[1] = 127;
+        head.writeBigUInt64BE(BigInt(n), 2);
+    }
+    return Buffer.concat([head, payload]);
+}
+
+/** Pull complete frames off `buf`. Returns { frames, rest }. */
+function decodeFrames(buf) {
+    const frames = [];
+    let off = 0;
+    while (buf.length - off >= 2) {
+        const opcode = buf[off] & 0x0f;
+        const masked = buf[off + 1] & 0x80;
+        let len = buf[off + 1] & 0x7f;
+        let p = off + 2;
+        if (len === 126) {
+            if (buf.length < p + 2) break;
+            len = buf.readUInt16BE(p); p += 2;
+        } else if (len === 127) {
+            if (buf.length < p + 8) break;
+            len = Number(buf.readBigUInt64BE(p)); p += 8;
+        }
+        const maskAt = p;
+        if (masked) p += 4;
+        if (buf.length < p + len) break;
+        const data = Buffer.from(buf.subarray(p, p + len));
+        if (masked) for (let i = 0; i < len; i++) data[i] ^= buf[maskAt + (i & 3)];
+        frames.push({ opcode, data });
+        off = p + len;
+    }
+    return { frames, rest: buf.subarray(off) };
+}
+
+// ─── Clients ────────────────────────────────────────────────────────────────
+
+const clients = new Set();
+let nextUser = 1;
+
+function send(client, msg) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(msg)));
+}
+
+function broadcast(msg, except) {
+    for (const c of clients) if (c !== except) send(c, msg);
+}
+
+// cid → the answer it got, so a command resent after a dropped connection isn't applied twice
+const answered = new Map();
+const ANSWERED_MAX = 10000;
+
+function answer(client, msg, reply) {
+    if (msg.cid) {
+        answered.set(msg.cid, reply);
+        if (answered.size > ANSWERED_MAX) answered.delete(answered.keys().next().value);
+    }
+    send(client, reply);
+}
+
+function onMessage(client, msg) {
+    const seen = msg.cid && answered.get(msg.cid);
+    if (seen) return send(client, Object.assign({}, seen, { seq: msg.seq }));
+    switch (msg.type) {
+        case 'move_task':
+        case 'resize_task': {
+            const t = tasks.get(msg.id);
+            if (!t) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'unknown task' });
+            if (Math.random() < REJECT) {
+                return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'mock rejection', task: t });
+            }
+            t.start = msg.start;
+            t.duration = msg.duration;
+            answer(client, msg, { type: 'ack', seq: msg.seq });
+            broadcast({ type: 'task_moved', id: t.id, start: t.start, duration: t.duration, userId: client.userId }, client);
+            return;
+        }
+        case 'update_task': {
+            const t = tasks.get(msg.id);
+            if (!t) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'unknown task' });
+            if (Math.random() < REJECT) {
+                return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'mock rejection', task: t });
+            }
+            Object.assign(t, msg.fields);
+            answer(client, msg, { type: 'ack', seq: msg.seq });
+            broadcast({ type: 'task_updated', id: t.id, fields: msg.fields, userId: client.userId }, client);
+            return;
+        }
+        case 'create_task': {
+            const t = msg.task;
+            if (!t || tasks.has(t.id)) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'duplicate id' });
+            if (Math.random() < REJECT) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'mock rejection' });
+            tasks.set(t.id, t);
+            answer(client, msg, { type: 'ack', seq: msg.seq });
+            broadcast({ type: 'task_created', task: t, userId: client.userId }, client);
+            return;
+        }
+        case 'delete_task': {
+            const t = tasks.get(msg.id);
+            if (!t) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'unknown task' });
+            if (Math.random() < REJECT) {
+                return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'mock rejection', task: t });
+            }
+            tasks.delete(msg.id);
+            answer(client, msg, { type: 'ack', seq: msg.seq });
+            broadcast({ type: 'task_deleted', id: msg.id, userId: client.userId }, client);
+            return;
+        }
+        case 'presence':
+            // Fire-and-forget: no seq, no ack, never rejected
+            broadcast({ type: 'presence', userId: client.userId, cursor: msg.cursor, drag: msg.drag }, client);
+            return;
+        case 'log_time': {
+            const e = msg.entry;
+            if (!e || !tasks.has(e.task_id)) return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'unknown task' });
+            // An upsert may stop a timer, never turn it into someone else's
+            const had = entries.get(e.id);
+            if (had && (had.task_id !== e.task_id || had.start !== e.start)) {
+                return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'duplicate id' });
+            }
+            if (Math.random() < REJECT) {
+                return answer(client, msg, { type: 'rejected', seq: msg.seq, reason: 'mock rejection', entry: entries.get(e.id) });
+            }
+            entries.set(e.id, e);
+            answer(client, msg, { type: 'ack', seq: msg.seq });
+            broadcast({ type: 'time_logged', entry: e, userId: client.userId }, client);
+            return;
+        }
+        default:
+            answer(client, msg, { type: 'rejected', seq: msg.seq, reason: `unknown command ${msg.type}` });
+    }
+}
+
+function upgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.url.split('?')[0] !== '/api/ws') return socket.destroy();
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { socket, userId: nextUser++ };
+    clients.add(client);
+    console.log(`user ${client.userId} connected (${clients.size} online)`);
+    send(client, { type: 'snapshot', you: client.userId, tasks: [...tasks.values()], entries: [...entries.values()], users, services });
+
+    let buf = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buf, chunk]));
+        buf = rest;
+        for (const f of frames) {
+            if (f.opcode === 0x8) return socket.end(Buffer.from([0x88, 0]));
+            if (f.opcode === 0x9) { socket.write(Buffer.concat([Buffer.from([0x8a, f.data.length]), f.data])); continue; }
+            if (f.opcode !== 0x1) continue;
+            let msg;
+            try { msg = JSON.parse(f.data.toString()); } catch { continue; }
+            onMessage(client, msg);
+        }
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        broadcast({ type: 'presence_left', userId: client.userId });
+        console.log(`user ${client.userId} left (${clients.size} online)`);
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+// ─── Bots ───────────────────────────────────────────────────────────────────
+
+function dayTime(day, minutes) {
+    const d = new Date(week);
+    d.setDate(d.getDate() + day);
+    d.setHours(0, minutes, 0, 0);
+    return d.getTime();
+}
+
+function makeBot() {
+    return {
+        userId: nextUser++,
+        day: (Math.random() * 5) | 0,
+        min: 8 * 60 + Math.random() * 9 * 60,
+        x: Math.random(),
+        drag: null, // { task, fromDay, fromMin, toDay, toMin, step, steps }
+    };
+}
+
+/** A random task scheduled in the working week, as a drag from where it is to somewhere else. */
+function pickDrag() {
+    const inWeek = [...tasks.values()].filter(t => t.start != null && t.start >= week && t.start < dayTime(5, 0));
+    if (!inWeek.length) return null;
+    const t = inWeek[(Math.random() * inWeek.length) | 0];
+    const d = new Date(t.start);
+    return {
+        task: t,
+        fromDay: Math.floor((t.start - week) / 86400000),
+        fromMin: d.getHours() * 60 + d.getMinutes(),
+        toDay: (Math.random() * 5) | 0,
+        toMin: 8 * 60 + ((Math.random() * 36) | 0) * 15,
+        step: 0,
+        steps: 20 + ((Math.random() * 20) | 0),
+    };
+}
+
+function stepBot(b) {
+    const g = b.drag;
+    if (g) {
+        const f = ++g.step / g.steps;
+        b.day = Math.round(g.fromDay + (g.toDay - g.fromDay) * f);
+        b.min = g.fromMin + (g.toMin - g.fromMin) * f;
+        b.x = 0.5;
+        if (g.step >= g.steps) {
+            b.drag = null;
+            const t = tasks.get(g.task.id);
+            if (t) {
+                t.start = dayTime(g.toDay, g.toMin);
+                broadcast({ type: 'task_moved', id: t.id, start: t.start, duration: t.duration, userId: b.userId });
+            }
+        }
+    } else {
+        b.min = Math.max(6 * 60, Math.min(b.min + (Math.random() - 0.5) * 30, 20 * 60));
+        b.x = Math.max(0.05, Math.min(b.x + (Math.random() - 0.5) * 0.1, 0.95));
+        if (Math.random() < 0.01) b.day = (Math.random() * 5) | 0;
+        if (Math.random() < 0.01) b.drag = pickDrag();
+    }
+    const at = dayTime(b.day, b.min);
+    const drag = b.drag && [{ id: b.drag.task.id, start: at, duration: b.drag.task.duration }];
+    broadcast({ type: 'presence', userId: b.userId, cursor: { at, x: b.x }, drag });
+}
+
+const bots = Array.from({ length: BOTS }, makeBot);
+if (bots.length) {
+    setInterval(() => {
+        if (clients.size) for (const b of bots) stepBot(b);
+    }, BOT_MS);
+}
+
+// ─── HTTP ───────────────────────────────────────────────────────────────────
+
+const server = http.createServer((req, res) => {
+    let rel;
+    try {
+        rel = decodeURIComponent(req.url.split('?')[0]);
+    } catch {
+        res.writeHead(400); return res.end(); // malformed %-escape
+    }
+    const file = path.join(ROOT, rel === '/' ? 'index.html' : rel);
+    // Inside the repo (not a sibling named like it), and nothing under a dot-directory (.git)
+    const inside = path.relative(ROOT, file);
+    if (!file.startsWith(ROOT + path.sep) || inside.split(path.sep).some(seg => seg.startsWith('.'))) {
+        res.writeHead(403); return res.end();
+    }
+    fs.readFile(file, (err, body) => {
+        if (err) { res.writeHead(404); return res.end('not found'); }
+        res.writeHead(200, {
+            'Content-Type': MIME[path.extname(file)] || 'application/octet-stream',
+            // Cross-origin isolation, so the engine's worker can share its columns (SharedArrayBuffer)
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Cross-Origin-Embedder-Policy': 'require-corp',
+        });
+        res.end(body);
+    });
+});
+
+server.on('upgrade', upgrade);
+server.listen(PORT, () => {
+    console.log(`IRONCLAD mock server on http://localhost:${PORT}/?sync (${TASKS} tasks, reject ${REJECT}, ${BOTS} bots)`);
+});
@@ -0,0 +1,101 @@
+/**
+ * IRONCLAD WORKER — the engine's heavy non-DOM work, off the main thread.
+ *
+ * CloudPCs rasterize in software on the same thread that runs our frames, so
+ * what needn't be there isn't: lane layout and the staging sort after loads,
+ * server pushes and the minute re-rank, the index rebuild on a load, and
+ * parsing big payloads (sync snapshots). The main thread keeps the flashlight
+ * and the render, and whatever the frame that follows a drop or edit needs:
+ * snapping, the staging sort, the lanes.
+ *
+ * No copy of the algorithms here: ironclad.js is imported and its own
+ * methods (_sweepLanes, _sortStaging, _rebuildIndex) run on a bare engine — the prototype
+ * without the constructor, so no DOM — pointed at the job's arrays. Those
+ * are the engine's SoA columns themselves when the page is cross-origin
+ * isolated, else copies the job transferred. See IroncladEngine.startWorker.
+ *
+ * Messages in:  init { engine, shared }, layout { gen, n, nStage, count, rebuild, ... }, decode { id, text }
+ * Messages out: layout { gen, n, nStage, ms, order?, x?, w?, stage?, index? }, decoded { id, value | error }
+ */
+
+'use strict';
+
+let bare = null;   // an IroncladEngine with no constructor run
+let shared = null; // the engine's columns and job scratch, when they're on shared memory
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'init':
+            importScripts(msg.engine);
+            bare = Object.create(IroncladEngine.prototype);
+            bare.laneOf = new Uint16Array(CONFIG.MAX_ENTITIES);
+            bare.laneEnd = new Float32Array(CONFIG.MAX_ENTITIES);
+            shared = msg.shared;
+            break;
+
+        case 'layout':
+            layout(msg);
+            break;
+
+        case 'decode':
+            try {
+                self.postMessage({ type: 'decoded', id: msg.id, value: JSON.parse(msg.text) });
+            } catch (err) {
+                self.postMessage({ type: 'decoded', id: msg.id, error: err.message });
+            }
+            break;
+    }
+};
+
+function layout(msg) {
+    const t0 = performance.now();
+    const b = bare;
+    const src = shared || msg;
+    b.count = msg.count;
+    b.colX = msg.colX;
+    b.colW = msg.colW;
+    b.teamCols = msg.teamCols;
+    b.ys = src.ys;
+    b.hs = src.hs;
+    const order = src.order;
+    // Shared: written in place, the engine reads them on reply. Else handed back.
+    const x = shared ? shared.x : new Float32Array(msg.count);
+    const w = shared ? shared.w : new Float32Array(msg.count);
+    b._sweepLanes(msg.n, order, src.col, x, w);
+    b.dues = src.dues;
+    b.ids = src.ids;
+    b._sortStaging(msg.nStage, src.stage, src.score);
+
+    const reply = { type: 'layout', gen: msg.gen, n: msg.n, nStage: msg.nStage, ms: 0 };
+    const transfer = [];
+    if (msg.rebuild) {
+        // Index the rects as they'll be once the lanes land
+        b.flags = src.flags;
+        b.xs = src.xs.slice(0, msg.count);
+        b.ws = src.ws.slice(0, msg.count);
+        for (let k = 0; k < msg.n; k++) {
+            const i = order[k];
+            b.xs[i] = x[i];
+            b.ws[i] = w[i];
+        }
+        b._initIndex();
+        b._rebuildIndex();
+        reply.index = {
+            cellHead: b.cellHead, entNode: b.entNode,
+            entC0: b.entC0, entC1: b.entC1, entR0: b.entR0, entR1: b.entR1,
+            nodeEnt: b.nodeEnt, nodeCell: b.nodeCell, nodeNext: b.nodeNext, nodePrev: b.nodePrev, nodeSib: b.nodeSib,
+            nodeFree: b.nodeFree,
+        };
+        for (const k in reply.index) if (ArrayBuffer.isView(reply.index[k])) transfer.push(reply.index[k].buffer);
+    }
+    if (!shared) {
+        reply.order = order;
+        reply.x = x;
+        reply.w = w;
+        reply.stage = src.stage;
+        transfer.push(order.buffer, x.buffer, w.buffer, src.stage.buffer);
+    }
+    reply.ms = performance.now() - t0;
+    self.postMessage(reply, transfer);
+}